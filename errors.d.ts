@@ -0,0 +1,82 @@
+export interface LoadingErrorDetails {
+    filePath?: string;
+    line?: number;
+    column?: number;
+    importChain?: string[];
+}
+/**
+ * Base class of the errors thrown while collecting, importing and loading sources.
+ * Carries the file and position the problem was found at, and the chain of `# import`s that led there.
+ */
+export declare class LoadingError extends Error {
+    filePath?: string;
+    line?: number;
+    column?: number;
+    importChain: string[];
+    constructor(message: string, details?: LoadingErrorDetails);
+}
+/**
+ * A type, interface, directive or fragment is referenced but defined nowhere
+ */
+export declare class MissingTypeError extends LoadingError {
+    typeName: string;
+    constructor(message: string, details: LoadingErrorDetails & {
+        typeName: string;
+    });
+}
+/**
+ * An `# import` line can't be parsed or points to a file that can't be loaded
+ */
+export declare class InvalidImportError extends LoadingError {
+    importLine?: string;
+    constructor(message: string, details?: LoadingErrorDetails & {
+        importLine?: string;
+    });
+}
+/**
+ * A chain of `# import`s leads back to a file that is already part of it
+ */
+export declare class CircularImportError extends LoadingError {
+    cycle: string[];
+    constructor(message: string, details: LoadingErrorDetails & {
+        cycle: string[];
+    });
+}
+/**
+ * The signal passed in the options was aborted before loading was done
+ */
+export declare class AbortError extends LoadingError {
+    pointers: string[];
+    constructor(message: string, details: LoadingErrorDetails & {
+        pointers: string[];
+    });
+}
+/**
+ * Loading took longer than the `timeout`, or a single pointer longer than the `loaderTimeout`
+ */
+export declare class TimeoutError extends LoadingError {
+    pointers: string[];
+    timeout: number;
+    constructor(message: string, details: LoadingErrorDetails & {
+        pointers: string[];
+        timeout: number;
+    });
+}
+/**
+ * A pointer, a pointer option or an `# import` path uses an environment variable that isn't set and has no default
+ */
+export declare class MissingEnvVariableError extends LoadingError {
+    variable: string;
+    constructor(message: string, details: LoadingErrorDetails & {
+        variable: string;
+    });
+}
+/**
+ * None of the pointers resulted in a GraphQL source
+ */
+export declare class NoSourcesError extends LoadingError {
+    pointers: string[];
+    constructor(message: string, details: LoadingErrorDetails & {
+        pointers: string[];
+    });
+}
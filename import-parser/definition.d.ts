@@ -1,7 +1,43 @@
 import { DefinitionNode } from 'graphql';
+import { LoadTypedefsOptions } from '../load-typedefs';
 export interface DefinitionMap {
     [key: string]: DefinitionNode;
 }
+/**
+ * State shared by every file imported from the same root source
+ */
+export interface ImportContext {
+    importChains: Map<string, string[]>;
+    excludedTypes: Map<string, string>;
+    importEdges: Map<string, Set<string>>;
+    globs: ImportGlobMatch[];
+    interpolations: ImportInterpolation[];
+    builtins: Builtins;
+}
+/**
+ * An import path that used environment variables, and what it resolved to
+ */
+export interface ImportInterpolation {
+    from: string;
+    filePath: string;
+    value: string;
+}
+/**
+ * An import path that was a glob, with the files it matched relative to `cwd`
+ */
+export interface ImportGlobMatch {
+    pattern: string;
+    cwd: string;
+    matches: string[];
+}
+/**
+ * Scalars and directives that don't need to be defined, and the preset definitions provided for them
+ */
+export interface Builtins {
+    types: string[];
+    directives: string[];
+    definitions: DefinitionMap;
+}
 /**
  * Post processing of all imported type definitions. Loops over each of the
  * imported type definitions, and processes it using collectNewTypeDefinitions.
@@ -9,6 +45,30 @@ export interface DefinitionMap {
  * @param allDefinitions All definitions from all schemas
  * @param definitionPool Current definitions (from first schema)
  * @param newTypeDefinitions All imported definitions
+ * @param context Import chains and excluded types collected while importing, used in error reports
  * @returns Final collection of type definitions for the resulting schema
  */
-export declare function completeDefinitionPool(allDefinitions: DefinitionNode[], definitionPool: DefinitionNode[], newTypeDefinitions: DefinitionNode[]): DefinitionNode[];
+export declare function completeDefinitionPool(allDefinitions: DefinitionNode[], definitionPool: DefinitionNode[], newTypeDefinitions: DefinitionNode[], context?: ImportContext): DefinitionNode[];
+/**
+ * Resolves the scalars and directives that can be used without being defined.
+ * Without presets, the legacy list of Apollo, Federation and Relay names is used as is;
+ * with presets, only the specified ones are known and the preset definitions are provided.
+ *
+ * @param options Known scalars, directives and presets
+ */
+export declare function resolveBuiltins(options: Pick<LoadTypedefsOptions, 'knownScalars' | 'knownDirectives' | 'builtinPresets'>): Builtins;
+/**
+ * Checks whether a definition extends a type (or the schema) rather than defining it
+ *
+ * @param definition Definition to check
+ */
+export declare function isTypeExtension(definition: DefinitionNode): boolean;
+/**
+ * Merges each type extension into a copy of the definition it extends.
+ * Extensions without a matching definition are kept as they are.
+ *
+ * @param definitions Definitions and extensions to fold
+ * @param sort Sort the members of the folded definitions
+ * @returns Definitions with their extensions folded in
+ */
+export declare function foldTypeExtensions(definitions: DefinitionNode[], sort?: boolean): DefinitionNode[];
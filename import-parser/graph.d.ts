@@ -0,0 +1,52 @@
+import { LoadTypedefsOptions, UnnormalizedTypeDefPointer } from '../load-typedefs';
+/**
+ * A resolved file in the import graph
+ */
+export interface ImportGraphNode {
+    id: string;
+    label: string;
+    types: string[];
+    dependencies: string[];
+    dependents: string[];
+}
+/**
+ * A single import line, pointing from the importing file to the imported one
+ */
+export interface ImportGraphEdge {
+    from: string;
+    to: string;
+    imports: string[];
+}
+export interface ImportGraph {
+    nodes: ImportGraphNode[];
+    edges: ImportGraphEdge[];
+}
+/**
+ * Builds the graph of `# import` statements reachable from the given pointers.
+ * Each node is a resolved file, each edge describes which types a file imports from another one.
+ *
+ * @param pointerOrPointers Pointers to the root files
+ * @returns Nodes and edges of the import graph
+ */
+export declare function buildImportGraph(pointerOrPointers: UnnormalizedTypeDefPointer | UnnormalizedTypeDefPointer[], options: LoadTypedefsOptions): Promise<ImportGraph>;
+/**
+ * Synchronous version of `buildImportGraph`
+ *
+ * @param pointerOrPointers Pointers to the root files
+ * @returns Nodes and edges of the import graph
+ */
+export declare function buildImportGraphSync(pointerOrPointers: UnnormalizedTypeDefPointer | UnnormalizedTypeDefPointer[], options: LoadTypedefsOptions): ImportGraph;
+/**
+ * Serializes an import graph to JSON
+ *
+ * @param graph Result of `buildImportGraph`
+ * @returns JSON string
+ */
+export declare function printImportGraphAsJSON(graph: ImportGraph): string;
+/**
+ * Serializes an import graph to the Graphviz DOT language
+ *
+ * @param graph Result of `buildImportGraph`
+ * @returns DOT string
+ */
+export declare function printImportGraphAsDot(graph: ImportGraph): string;
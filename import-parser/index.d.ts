@@ -1,6 +1,8 @@
 import { DefinitionNode, DocumentNode } from 'graphql';
 import { LoadTypedefsOptions } from '../load-typedefs';
 import { Source } from '@graphql-toolkit/common';
+import { LoadingErrorDetails } from '../errors';
+import { ImportContext } from './definition';
 /**
  * Describes the information from a single import line
  *
@@ -8,6 +10,11 @@ import { Source } from '@graphql-toolkit/common';
 export interface RawModule {
     imports: string[];
     from: string;
+    aliases?: {
+        [typeName: string]: string;
+    };
+    namespace?: string;
+    exclude?: string[];
 }
 /**
  * Parse a single import line and extract imported types and schema filename
@@ -20,9 +27,10 @@ export declare function parseImportLine(importLine: string): RawModule;
  * Parse a schema and analyze all import lines
  *
  * @param sdl Schema to parse
+ * @param details File and import chain of the schema, reported on invalid import lines
  * @returns Array with collection of imports per import line (file)
  */
-export declare function parseSDL(sdl: string): RawModule[];
+export declare function parseSDL(sdl: string, details?: LoadingErrorDetails): RawModule[];
 /**
  * Main entry point. Recursively process all import statement in a schema
  *
@@ -42,9 +50,10 @@ export declare function processImportSyntaxSync(documentSource: Source, options:
  * If the schema is empty a DocumentNode with empty definitions will be created.
  *
  * @param sdl Schema to parse
+ * @param location File the schema was read from, kept on every node for `getDefinitionOrigin`
  * @returns A graphql DocumentNode with definitions of the parsed sdl.
  */
-export declare function getDocumentFromSDL(sdl: string): DocumentNode;
+export declare function getDocumentFromSDL(sdl: string, location?: string): DocumentNode;
 /**
  * Check if a schema contains any type definitions at all.
  *
@@ -72,9 +81,11 @@ export declare function resolveModuleFilePath(filePath: string, importFrom: stri
  * @param Tracking of processed schemas (for circular dependencies)
  * @param Tracking of imported type definitions per schema
  * @param Tracking of all type definitions per schema
+ * @param context Tracking of the chain of imports that led to each file and of the excluded types
+ * @param importChain Imports that led to the current schema, searched for circular imports
  * @returns Both the collection of all type definitions, and the collection of imported type definitions
  */
-export declare function collectDefinitions(imports: string[], source: Source, options: LoadTypedefsOptions, typeDefinitions: DefinitionNode[][], allDefinitions: DefinitionNode[][]): Promise<void>;
+export declare function collectDefinitions(imports: string[], source: Source, options: LoadTypedefsOptions, typeDefinitions: DefinitionNode[][], allDefinitions: DefinitionNode[][], context?: ImportContext, importChain?: string[]): Promise<void>;
 /**
  * Recursively process all schema files. Keeps track of both the filtered
  * type definitions, and all type definitions, because they might be needed
@@ -86,6 +97,9 @@ export declare function collectDefinitions(imports: string[], source: Source, op
  * @param Tracking of processed schemas (for circular dependencies)
  * @param Tracking of imported type definitions per schema
  * @param Tracking of all type definitions per schema
+ * @param context Tracking of the chain of imports that led to each file and of the excluded types
+ * @param importChain Imports that led to the current schema, searched for circular imports
  * @returns Both the collection of all type definitions, and the collection of imported type definitions
  */
-export declare function collectDefinitionsSync(imports: string[], source: Source, options: LoadTypedefsOptions, typeDefinitions: DefinitionNode[][], allDefinitions: DefinitionNode[][]): void;
+export declare function collectDefinitionsSync(imports: string[], source: Source, options: LoadTypedefsOptions, typeDefinitions: DefinitionNode[][], allDefinitions: DefinitionNode[][], context?: ImportContext, importChain?: string[]): void;
+export * from './graph';
@@ -3,3 +3,8 @@ export * from './schema';
 export * from './documents';
 export * from './filter-document-kind';
 export * from './import-parser';
+export * from './watch';
+export * from './provenance';
+export * from './errors';
+export * from './plugins';
+export * from './project-config';
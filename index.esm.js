@@ -1,10 +1,10 @@
 import { asArray, resolveBuiltinModule, resolveBuiltinModuleSync, debugLog, printSchemaWithDirectives, isDocumentString, parseGraphQLSDL, compareNodes, fixSchemaAst, compareStrings } from '@graphql-toolkit/common';
-import { isSchema, parse, Kind, Source } from 'graphql';
+import { isSchema, parse, Kind, Source, getLocation, visit, print } from 'graphql';
 import isGlob from 'is-glob';
-import { __asyncValues } from 'tslib';
 import pLimit from 'p-limit';
 import { printWithComments, resetComments, mergeSchemasAsync, mergeSchemas } from '@graphql-toolkit/schema-merging';
 import { uniqBy, keyBy, reverse, includes, flatten, isEqual, groupBy } from 'lodash';
+import AggregateError from 'aggregate-error';
 
 function normalizePointers(unnormalizedPointerOrPointers) {
     return asArray(unnormalizedPointerOrPointers).reduce((normalizedPointers, unnormalizedPointer) => {
@@ -26,12 +26,16 @@ function applyDefaultOptions(options) {
     options.cwd = options.cwd || process.cwd();
     options.sort = 'sort' in options ? options.sort : true;
     options.processedFiles = options.processedFiles || new Map();
+    options.loaderCache = options.loaderCache || new Map();
 }
 async function prepareOptions(options) {
     applyDefaultOptions(options);
     options.fs = await resolveBuiltinModule('fs', options.fs);
     options.path = await resolveBuiltinModule('path', options.path);
     options.os = await resolveBuiltinModule('os', options.os);
+    if (options.persistentCache) {
+        options.crypto = await resolveBuiltinModule('crypto', options.crypto);
+    }
     return options;
 }
 async function prepareOptionsSync(options) {
@@ -39,36 +43,437 @@ async function prepareOptionsSync(options) {
     options.fs = resolveBuiltinModuleSync('fs', options.fs);
     options.path = resolveBuiltinModuleSync('path', options.path);
     options.os = resolveBuiltinModuleSync('os', options.os);
+    if (options.persistentCache) {
+        options.crypto = resolveBuiltinModuleSync('crypto', options.crypto);
+    }
     return options;
 }
 
+const PERSISTENT_CACHE_VERSION = 6;
+const PERSISTENT_CACHE_DIRECTORY = 'node_modules/.cache/graphql-toolkit';
+// Options of the toolkit itself, a loader returns the same source whatever they are
+const TOOLKIT_OPTIONS = [
+    'processedFiles',
+    'cache',
+    'loaders',
+    'loaderCache',
+    'persistentCache',
+    'filterKinds',
+    'ignore',
+    'gitignore',
+    'findIgnoreRule',
+    'sort',
+    'skipGraphQLImport',
+    'forceGraphQLImport',
+    'onCircularImport',
+    'foldTypeExtensions',
+    'knownScalars',
+    'knownDirectives',
+    'builtinPresets',
+    'fs',
+    'path',
+    'os',
+    'crypto',
+    'signal',
+    'timeout',
+    'loaderTimeout',
+    'plugins',
+    'collectors',
+    'transforms',
+    'concurrency',
+    'env',
+    'dedupeSources',
+    'cwd',
+    'unixify',
+];
+/**
+ * Reads a source loaded from a file in a previous run.
+ * The entry is used when the file still has the same mtime and size, or the same content,
+ * and the options passed to the loader, the ones of the pointer included, are the same.
+ */
+function readPersistedSource(pointer, options) {
+    const filePath = resolveCachedFilePath(pointer, options);
+    const entry = filePath && readCacheEntry('sources', filePath, options);
+    const loaderOptionsKey = entry && getLoaderOptionsKey(options);
+    if (entry &&
+        options.loaders.some((loader) => loader.loaderId() === entry.loaderId) &&
+        !!loaderOptionsKey &&
+        entry.loaderOptionsKey === loaderOptionsKey &&
+        isStampValid(entry.stamp, options)) {
+        return restoreNodes(entry.source);
+    }
+}
+function persistSource(pointer, loader, source, options) {
+    const filePath = resolveCachedFilePath(pointer, options);
+    const loaderOptionsKey = filePath && getLoaderOptionsKey(options);
+    // Schemas can't be serialized, they are printed to SDL and parsed again anyway
+    if (loaderOptionsKey && source && source.document && !source.schema) {
+        writeCacheEntry('sources', filePath, {
+            loaderId: loader.loaderId(),
+            loaderOptionsKey,
+            stamp: createStamp(filePath, options),
+            source: serializeNodes({
+                location: source.location,
+                rawSDL: source.rawSDL,
+                document: source.document,
+            }),
+        }, options);
+    }
+}
+/**
+ * Parses the SDL, reusing the document parsed from the same content in a previous run
+ */
+function parseWithPersistentCache(rawSDL, location, options, locationOffset) {
+    const key = getCacheDirectory(options) &&
+        [rawSDL, location, JSON.stringify(locationOffset), options.noLocation, options.experimentalFragmentVariables].join('\0');
+    const entry = key && readCacheEntry('documents', key, options);
+    if (entry) {
+        return restoreNodes(entry);
+    }
+    const document = parse(new Source(rawSDL, location, locationOffset), options);
+    if (key) {
+        writeCacheEntry('documents', key, serializeNodes(document), options);
+    }
+    return document;
+}
+/**
+ * Reads the definitions the imports of a source resolved to in a previous run.
+ * The entry is used when none of the visited files and ignore files changed since,
+ * every glob in an import path still matches the same files,
+ * and the environment variables in the import paths still have the same values.
+ */
+function readPersistedImports(source, options, globby) {
+    const key = getImportsCacheKey(source, options);
+    const entry = key && readCacheEntry('imports', key, options);
+    if (entry &&
+        entry.stamps.every((stamp) => isStampValid(stamp, options)) &&
+        entry.ignoreFiles.every((stamp) => (stamp.missing ? !options.fs.existsSync(stamp.filePath) : isStampValid(stamp, options))) &&
+        entry.globs.every((glob) => isGlobMatchValid(glob, globby)) &&
+        entry.interpolations.every((interpolation) => isInterpolationValid(interpolation, options))) {
+        return restoreNodes(entry.definitions);
+    }
+}
+function persistImports(source, options, context, definitions) {
+    const key = getImportsCacheKey(source, options);
+    if (key) {
+        // Every file the imports went through, the source itself included
+        const files = new Set(Array.from(context.importChains.keys()).map((location) => options.path.resolve(options.cwd, location)));
+        writeCacheEntry('imports', key, {
+            stamps: Array.from(files).map((filePath) => createStamp(filePath, options)).filter(Boolean),
+            // A file added next to the matched ones changes the result without touching any of them
+            globs: context.globs,
+            interpolations: context.interpolations,
+            // Ignore files decide which files can be imported, the missing ones could be created
+            ignoreFiles: Array.from((options.findIgnoreRule && options.findIgnoreRule.ignoreFiles) || []).map((filePath) => createStamp(filePath, options) || { filePath, missing: true }),
+            definitions: serializeNodes(definitions),
+        }, options);
+    }
+}
+//
+function getCacheDirectory(options) {
+    // Restored nodes have no tokens, so comments can't be turned into descriptions
+    if (!options.persistentCache || options.commentDescriptions || !options.crypto || !options.fs || !options.path) {
+        return undefined;
+    }
+    const directory = (typeof options.persistentCache === 'object' && options.persistentCache.directory) || PERSISTENT_CACHE_DIRECTORY;
+    return options.path.resolve(options.cwd || process.cwd(), directory);
+}
+function getImportsCacheKey(source, options) {
+    // Transforms are functions, what they do to the imported files can't be told from the options
+    if (!getCacheDirectory(options) || !source.location || !source.rawSDL || (options.transforms && options.transforms.length > 0)) {
+        return undefined;
+    }
+    return JSON.stringify([
+        options.path.resolve(options.cwd, source.location),
+        source.locationOffset,
+        hashContent(source.rawSDL, options),
+        options.sort,
+        options.foldTypeExtensions,
+        options.knownScalars,
+        options.knownDirectives,
+        options.builtinPresets,
+        options.noLocation,
+        options.onCircularImport,
+    ]);
+}
+/**
+ * Hashes the options a loader can act on, functions and options that can't be serialized left out
+ */
+function getLoaderOptionsKey(options) {
+    const loaderOptions = {};
+    for (const key of Object.keys(options).sort()) {
+        if (!TOOLKIT_OPTIONS.includes(key) && typeof options[key] !== 'function') {
+            loaderOptions[key] = options[key];
+        }
+    }
+    try {
+        return hashContent(JSON.stringify(loaderOptions), options);
+    }
+    catch (e) {
+        // Circular options can't be told apart, their sources aren't persisted
+        return undefined;
+    }
+}
+function resolveCachedFilePath(pointer, options) {
+    if (!getCacheDirectory(options) || typeof pointer !== 'string') {
+        return undefined;
+    }
+    const filePath = options.path.resolve(options.cwd, pointer);
+    try {
+        return options.fs.statSync(filePath).isFile() ? filePath : undefined;
+    }
+    catch (e) {
+        return undefined;
+    }
+}
+function readCacheEntry(namespace, key, options) {
+    try {
+        const entry = JSON.parse(options.fs.readFileSync(getCacheEntryPath(namespace, key, options), 'utf8'));
+        // The key is stored as well to rule out hash collisions
+        if (entry.version === PERSISTENT_CACHE_VERSION && entry.key === key) {
+            return entry.value;
+        }
+    }
+    catch (e) {
+        // Missing or corrupted entries are simply recreated
+    }
+    return undefined;
+}
+function writeCacheEntry(namespace, key, value, options) {
+    const entryPath = getCacheEntryPath(namespace, key, options);
+    try {
+        options.fs.mkdirSync(options.path.dirname(entryPath), { recursive: true });
+        options.fs.writeFileSync(entryPath, JSON.stringify({ version: PERSISTENT_CACHE_VERSION, key, value }));
+    }
+    catch (error) {
+        debugLog(`Failed to write the persistent cache entry ${entryPath} - ${error.message}`);
+    }
+}
+function getCacheEntryPath(namespace, key, options) {
+    return options.path.join(getCacheDirectory(options), namespace, `${hashContent(key, options)}.json`);
+}
+function hashContent(content, options) {
+    return options.crypto.createHash('sha1').update(content).digest('hex');
+}
+function createStamp(filePath, options) {
+    try {
+        const stats = options.fs.statSync(filePath);
+        return {
+            filePath,
+            mtime: stats.mtimeMs,
+            size: stats.size,
+            hash: hashContent(options.fs.readFileSync(filePath, 'utf8'), options),
+        };
+    }
+    catch (e) {
+        return undefined;
+    }
+}
+// Entries are read synchronously on both paths, so the sync API of globby is used
+function isGlobMatchValid(glob, globby) {
+    try {
+        return isEqual(globby.sync(glob.pattern, { cwd: glob.cwd }).sort(), glob.matches);
+    }
+    catch (e) {
+        return false;
+    }
+}
+function isInterpolationValid({ from, filePath, value }, options) {
+    try {
+        return interpolateEnv(from, options, { filePath }) === value;
+    }
+    catch (e) {
+        return false;
+    }
+}
+function isStampValid(stamp, options) {
+    try {
+        const stats = options.fs.statSync(stamp.filePath);
+        if (stats.mtimeMs === stamp.mtime && stats.size === stamp.size) {
+            return true;
+        }
+        // Touched but not changed
+        return hashContent(options.fs.readFileSync(stamp.filePath, 'utf8'), options) === stamp.hash;
+    }
+    catch (e) {
+        return false;
+    }
+}
+/**
+ * Turns the nodes into JSON, replacing the source of each location by its name.
+ * The bodies of those sources are kept aside so locations can be restored.
+ * Sources sharing a file, like the blocks of a Markdown file, are told apart by their offset.
+ */
+function serializeNodes(value) {
+    const sources = {};
+    const json = JSON.stringify(value, function (key, nodeValue) {
+        const loc = key === 'loc' ? this.loc : undefined;
+        if (loc && loc.source) {
+            const { name, body, locationOffset } = loc.source;
+            const sourceKey = locationOffset && locationOffset.line !== 1 ? `${name}:${locationOffset.line}` : name;
+            sources[sourceKey] = { name, body, locationOffset };
+            return { start: loc.start, end: loc.end, source: sourceKey };
+        }
+        return nodeValue;
+    });
+    return { sources, json };
+}
+function restoreNodes({ sources, json }) {
+    const restoredSources = {};
+    return JSON.parse(json, (key, value) => {
+        if (key === 'loc' && value && typeof value.source === 'string') {
+            const sourceKey = value.source;
+            if (!restoredSources[sourceKey]) {
+                const { name, body, locationOffset } = sources[sourceKey];
+                restoredSources[sourceKey] = new Source(body, name, locationOffset);
+            }
+            return Object.assign(Object.assign({}, value), { source: restoredSources[sourceKey] });
+        }
+        return value;
+    });
+}
+
+// Schedulers are shared by every load using the same `concurrency` options
+const schedulers = new WeakMap();
+/**
+ * Reads the concurrency of a stage from `options.concurrency`, falls back to the default one
+ */
+function getConcurrency(options, stage, defaultConcurrency) {
+    const concurrency = options.concurrency && options.concurrency[stage];
+    return concurrency > 0 ? concurrency : defaultConcurrency;
+}
+/**
+ * Runs the task once the loader is below the concurrency set for it in `options.concurrency.loaders`.
+ */
+function limitLoader(options, loaderId, task) {
+    const scheduler = useScheduler(options);
+    return scheduler ? scheduler.limitLoader(loaderId)(task) : task();
+}
+/**
+ * Wraps the file system so no more than `options.concurrency.fileHandles` files and directories are read at once.
+ * Synchronous reads are left as they are, they never overlap.
+ */
+function limitFileHandles(options) {
+    const scheduler = useScheduler(options);
+    return scheduler && options.fs ? scheduler.limitFileSystem(options.fs) : options.fs;
+}
+//
+// Methods that keep a file or a directory open until they are done
+const FILE_HANDLE_METHODS = ['readFile', 'readdir', 'writeFile'];
+function useScheduler(options) {
+    const config = options.concurrency;
+    if (!config) {
+        return undefined;
+    }
+    if (!schedulers.has(config)) {
+        schedulers.set(config, createScheduler(config));
+    }
+    return schedulers.get(config);
+}
+function createScheduler(config) {
+    const loaderLimits = new Map();
+    const fileSystems = new WeakMap();
+    const fileHandleLimit = config.fileHandles > 0 ? pLimit(config.fileHandles) : undefined;
+    return {
+        limitLoader(loaderId) {
+            const concurrency = config.loaders && config.loaders[loaderId];
+            if (!(concurrency > 0)) {
+                return (task) => task();
+            }
+            if (!loaderLimits.has(loaderId)) {
+                loaderLimits.set(loaderId, pLimit(concurrency));
+            }
+            return loaderLimits.get(loaderId);
+        },
+        limitFileSystem(fs) {
+            if (!fileHandleLimit) {
+                return fs;
+            }
+            if (!fileSystems.has(fs)) {
+                fileSystems.set(fs, createLimitedFileSystem(fs, fileHandleLimit));
+            }
+            return fileSystems.get(fs);
+        },
+    };
+}
+function createLimitedFileSystem(fs, limit) {
+    const limited = Object.create(fs);
+    for (const method of FILE_HANDLE_METHODS) {
+        if (typeof fs[method] === 'function') {
+            // The namespace of an imported fs module only has getters, its methods can't be assigned over
+            defineMethod(limited, method, (...args) => {
+                const callback = args[args.length - 1];
+                if (typeof callback !== 'function') {
+                    return fs[method](...args);
+                }
+                limit(() => new Promise(resolve => {
+                    fs[method](...args.slice(0, -1), (...results) => {
+                        resolve();
+                        callback(...results);
+                    });
+                }));
+            });
+        }
+    }
+    if (fs.promises) {
+        const promises = Object.create(fs.promises);
+        for (const method of FILE_HANDLE_METHODS) {
+            if (typeof fs.promises[method] === 'function') {
+                defineMethod(promises, method, (...args) => limit(() => fs.promises[method](...args)));
+            }
+        }
+        // `promises` is a getter of the fs module
+        Object.defineProperty(limited, 'promises', { value: promises });
+    }
+    return limited;
+}
+function defineMethod(target, method, value) {
+    Object.defineProperty(target, method, { value, writable: true, configurable: true });
+}
+
 async function loadFile(pointer, options) {
-    var e_1, _a;
     const cached = useCache({ pointer, options });
     if (cached) {
         return cached;
     }
-    try {
-        for (var _b = __asyncValues(options.loaders), _c; _c = await _b.next(), !_c.done;) {
-            const loader = _c.value;
-            try {
-                const canLoad = await loader.canLoad(pointer, options);
-                if (canLoad) {
-                    return await loader.load(pointer, options);
-                }
-            }
-            catch (error) {
-                debugLog(`Failed to find any GraphQL type definitions in: ${pointer} - ${error.message}`);
-                throw error;
-            }
+    const persisted = readPersistedSource(pointer, options);
+    if (persisted) {
+        return persisted;
+    }
+    const rememberedLoader = useRememberedLoader({ pointer, options });
+    if (rememberedLoader) {
+        try {
+            const source = await limitLoader(options, rememberedLoader.loaderId(), () => rememberedLoader.load(pointer, options));
+            persistSource(pointer, rememberedLoader, source, options);
+            return source;
+        }
+        catch (error) {
+            // The pointer might be handled by another loader by now
+            options.loaderCache.delete(pointer);
         }
     }
-    catch (e_1_1) { e_1 = { error: e_1_1 }; }
-    finally {
+    const loaders = routeLoaders(pointer, options.loaders);
+    // Every loader is probed at once, but the first one in declared order wins
+    const probes = loaders.map((loader) => {
+        const probe = Promise.resolve().then(() => limitLoader(options, loader.loaderId(), () => loader.canLoad(pointer, options)));
+        // A rejection is only thrown once the probe is awaited below
+        probe.catch(() => { });
+        return probe;
+    });
+    for (const [i, loader] of loaders.entries()) {
         try {
-            if (_c && !_c.done && (_a = _b.return)) await _a.call(_b);
+            const canLoad = await probes[i];
+            if (canLoad) {
+                const source = await limitLoader(options, loader.loaderId(), () => loader.load(pointer, options));
+                options.loaderCache.set(pointer, loader);
+                persistSource(pointer, loader, source, options);
+                return source;
+            }
+        }
+        catch (error) {
+            debugLog(`Failed to find any GraphQL type definitions in: ${pointer} - ${error.message}`);
+            throw error;
         }
-        finally { if (e_1) throw e_1.error; }
     }
     return undefined;
 }
@@ -77,11 +482,30 @@ function loadFileSync(pointer, options) {
     if (cached) {
         return cached;
     }
-    for (const loader of options.loaders) {
+    const persisted = readPersistedSource(pointer, options);
+    if (persisted) {
+        return persisted;
+    }
+    const rememberedLoader = useRememberedLoader({ pointer, options });
+    if (rememberedLoader && rememberedLoader.loadSync) {
+        try {
+            const source = rememberedLoader.loadSync(pointer, options);
+            persistSource(pointer, rememberedLoader, source, options);
+            return source;
+        }
+        catch (error) {
+            // The pointer might be handled by another loader by now
+            options.loaderCache.delete(pointer);
+        }
+    }
+    for (const loader of routeLoaders(pointer, options.loaders)) {
         try {
             const canLoad = loader.canLoadSync && loader.loadSync && loader.canLoadSync(pointer, options);
             if (canLoad) {
-                return loader.loadSync(pointer, options);
+                const source = loader.loadSync(pointer, options);
+                options.loaderCache.set(pointer, loader);
+                persistSource(pointer, loader, source, options);
+                return source;
             }
         }
         catch (error) {
@@ -95,6 +519,32 @@ function useCache({ pointer, options }) {
     if (pointer in options.cache) {
         return options.cache[pointer];
     }
+}
+function useRememberedLoader({ pointer, options }) {
+    const loader = options.loaderCache && options.loaderCache.get(pointer);
+    if (loader && options.loaders.includes(loader)) {
+        return loader;
+    }
+}
+/**
+ * Loaders that declare the schemes or extensions they handle are only used for matching pointers.
+ * Loaders that declare neither are used for every pointer. The declared order is kept.
+ */
+function routeLoaders(pointer, loaders) {
+    const scheme = getPointerScheme(pointer);
+    const extension = getPointerExtension(pointer);
+    return loaders.filter((loader) => (!loader.schemes && !loader.extensions) ||
+        (!!scheme && includes(loader.schemes, scheme)) ||
+        (!!extension && includes(loader.extensions, extension)));
+}
+function getPointerScheme(pointer) {
+    // Single letters are Windows drives, not schemes
+    const match = typeof pointer === 'string' && pointer.match(/^([a-z][a-z0-9+.-]+):/i);
+    return match ? match[1].toLowerCase() : undefined;
+}
+function getPointerExtension(pointer) {
+    const match = typeof pointer === 'string' && pointer.split(/[?#]/)[0].match(/(\.[^./\\]+)$/);
+    return match ? match[1].toLowerCase() : undefined;
 }
 
 /**
@@ -131,6 +581,23 @@ function useStack(...fns) {
 }
 function useLimit(concurrency) {
     return pLimit(concurrency);
+}
+/**
+ * Reads the file, line and column a node was parsed from
+ */
+function getNodeOrigin(node) {
+    if (!node || !node.loc || !node.loc.source) {
+        return null;
+    }
+    const { source, start } = node.loc;
+    const { line, column } = getLocation(source, start);
+    // Sources cut out of a bigger file, like Markdown blocks, start at an offset
+    const offset = source.locationOffset || { line: 1, column: 1 };
+    return {
+        location: source.name,
+        line: line + offset.line - 1,
+        column: line === 1 ? column + offset.column - 1 : column,
+    };
 }
 
 async function getCustomLoaderByPath(path, cwd) {
@@ -201,7 +668,11 @@ function useQueue(options) {
             queue.push(() => limit(fn));
         },
         runAll() {
-            return Promise.all(queue.map(fn => fn()));
+            // Pointers are independent, so every task is settled and all of their failures are reported
+            return Promise.all(queue.map(fn => fn().then(() => undefined, error => error))).then(results => {
+                // An abort rejects every pending task with the same error
+                throwErrors(results.filter((error, index) => error && results.indexOf(error) === index));
+            });
         },
     };
 }
@@ -212,74 +683,696 @@ function useSyncQueue() {
             queue.push(fn);
         },
         runAll() {
-            queue.forEach(fn => fn());
+            const errors = [];
+            queue.forEach(fn => {
+                try {
+                    fn();
+                }
+                catch (error) {
+                    if (!errors.includes(error)) {
+                        errors.push(error);
+                    }
+                }
+            });
+            throwErrors(errors);
         },
     };
 }
 
-const CONCURRENCY_LIMIT = 50;
-async function collectSources({ pointerOptionMap, options, }) {
+/**
+ * Base class of the errors thrown while collecting, importing and loading sources.
+ * Carries the file and position the problem was found at, and the chain of `# import`s that led there.
+ */
+class LoadingError extends Error {
+    constructor(message, details = {}) {
+        super(formatErrorMessage(message, details));
+        this.name = 'LoadingError';
+        this.filePath = details.filePath;
+        this.line = details.line;
+        this.column = details.column;
+        this.importChain = details.importChain || [];
+    }
+}
+/**
+ * A type, interface, directive or fragment is referenced but defined nowhere
+ */
+class MissingTypeError extends LoadingError {
+    constructor(message, details) {
+        super(message, details);
+        this.name = 'MissingTypeError';
+        this.typeName = details.typeName;
+    }
+}
+/**
+ * An `# import` line can't be parsed or points to a file that can't be loaded
+ */
+class InvalidImportError extends LoadingError {
+    constructor(message, details = {}) {
+        super(message, details);
+        this.name = 'InvalidImportError';
+        this.importLine = details.importLine;
+    }
+}
+/**
+ * None of the pointers resulted in a GraphQL source
+ */
+class NoSourcesError extends LoadingError {
+    constructor(message, details) {
+        super(message, details);
+        this.name = 'NoSourcesError';
+        this.pointers = details.pointers;
+    }
+}
+/**
+ * A chain of `# import`s leads back to a file that is already part of it
+ */
+class CircularImportError extends LoadingError {
+    constructor(message, details) {
+        super(message, details);
+        this.name = 'CircularImportError';
+        this.cycle = details.cycle;
+    }
+}
+/**
+ * The signal passed in the options was aborted before loading was done
+ */
+class AbortError extends LoadingError {
+    constructor(message, details) {
+        super(message, details);
+        this.name = 'AbortError';
+        this.pointers = details.pointers;
+    }
+}
+/**
+ * Loading took longer than the `timeout`, or a single pointer longer than the `loaderTimeout`
+ */
+class TimeoutError extends LoadingError {
+    constructor(message, details) {
+        super(message, details);
+        this.name = 'TimeoutError';
+        this.pointers = details.pointers;
+        this.timeout = details.timeout;
+    }
+}
+/**
+ * A pointer, a pointer option or an `# import` path uses an environment variable that isn't set and has no default
+ */
+class MissingEnvVariableError extends LoadingError {
+    constructor(message, details) {
+        super(message, details);
+        this.name = 'MissingEnvVariableError';
+        this.variable = details.variable;
+    }
+}
+/**
+ * Throws the collected errors: a single one as it is, several of them as an AggregateError
+ */
+function throwErrors(errors) {
+    const flatErrors = flatten(errors.map(error => (error instanceof AggregateError ? Array.from(error) : error)));
+    if (flatErrors.length === 1) {
+        throw flatErrors[0];
+    }
+    if (flatErrors.length > 1) {
+        throw new AggregateError(flatErrors);
+    }
+}
+//
+function formatErrorMessage(message, { filePath, line, column, importChain }) {
+    let result = message;
+    if (filePath) {
+        result += `\n    at ${filePath}${line ? `:${line}:${column}` : ''}`;
+    }
+    if (importChain && importChain.length > 1) {
+        result += `\n    imported through ${importChain.join(' -> ')}`;
+    }
+    return result;
+}
+
+// `${VAR}` or `${VAR:-default}`
+const ENV_VARIABLE_PATTERN = /\$\{([A-Za-z_][A-Za-z0-9_]*)(?::-([^}]*))?\}/g;
+/**
+ * Replaces `${VAR}` and `${VAR:-default}` with the variables of `options.env`, `process.env` by default.
+ * The default is used when the variable is unset or empty. A variable that is unset and has no default is an error.
+ */
+function interpolateEnv(value, options, details = {}) {
     var _a;
+    if (typeof value !== 'string' || !value.includes('${')) {
+        return value;
+    }
+    const env = (_a = options.env) !== null && _a !== void 0 ? _a : process.env;
+    return value.replace(ENV_VARIABLE_PATTERN, (_match, variable, defaultValue) => {
+        const variableValue = env[variable];
+        if (defaultValue !== undefined && !variableValue) {
+            return defaultValue;
+        }
+        if (variableValue === undefined) {
+            throw new MissingEnvVariableError(`${variable} is used in ${value} but isn't set, set it or give it a default with \${${variable}:-default}`, Object.assign(Object.assign({}, details), { variable }));
+        }
+        return variableValue;
+    });
+}
+/**
+ * Interpolates the pointers and the strings of their options. Document strings are left as they are.
+ * Pointers that end up the same get their options merged.
+ */
+function interpolatePointers(pointerOptionMap, options) {
+    const interpolated = {};
+    for (const pointer of Object.keys(pointerOptionMap)) {
+        const interpolatedPointer = pointer.includes('${') && !isDocumentString(pointer) ? interpolateEnv(pointer, options) : pointer;
+        interpolated[interpolatedPointer] = Object.assign(Object.assign({}, interpolated[interpolatedPointer]), interpolateValues(pointerOptionMap[pointer], options));
+    }
+    return interpolated;
+}
+//
+function interpolateValues(value, options) {
+    if (typeof value === 'string') {
+        return interpolateEnv(value, options);
+    }
+    if (Array.isArray(value)) {
+        return value.map(item => interpolateValues(item, options));
+    }
+    // Only plain objects, loaders and other instances are kept as they are
+    if (value && Object.getPrototypeOf(value) === Object.prototype) {
+        const result = {};
+        for (const key of Object.keys(value)) {
+            result[key] = interpolateValues(value[key], options);
+        }
+        return result;
+    }
+    return value;
+}
+
+/**
+ * Watches the signal and the timeouts of the options while loading.
+ * Every task is tracked with the pointer it loads, so an abort or a timeout
+ * rejects with an error naming the pointers that were still pending.
+ * Synchronous tasks can't be interrupted, they are checked once they are done.
+ */
+function createAbortScope(options) {
+    const startedAt = Date.now();
+    const pending = new Set();
+    const listeners = new Set();
+    const controller = (options.signal || options.timeout) && typeof AbortController !== 'undefined' ? new AbortController() : undefined;
+    let reason;
+    const abort = (error) => {
+        if (!reason) {
+            reason = error;
+            listeners.forEach(listener => listener(error));
+            if (controller) {
+                controller.abort();
+            }
+        }
+    };
+    const onAbort = () => abort(createAbortError(Array.from(pending)));
+    const onTimeout = () => abort(createTimeoutError(Array.from(pending), options.timeout));
+    const timer = options.timeout ? setTimeout(onTimeout, options.timeout) : undefined;
+    if (options.signal) {
+        options.signal.addEventListener('abort', onAbort);
+    }
+    function throwIfAborted() {
+        if (!reason && options.signal && options.signal.aborted) {
+            onAbort();
+        }
+        if (!reason && options.timeout && Date.now() - startedAt > options.timeout) {
+            onTimeout();
+        }
+        if (reason) {
+            throw reason;
+        }
+    }
+    return {
+        signal: controller ? controller.signal : options.signal,
+        throwIfAborted,
+        track(pointer, task, timeout = options.loaderTimeout) {
+            throwIfAborted();
+            pending.add(pointer);
+            const taskStartedAt = Date.now();
+            let result;
+            try {
+                result = task();
+                if (!isPromiseLike(result)) {
+                    // A synchronous task is only checked once it is done, while it still counts as pending
+                    if (timeout && Date.now() - taskStartedAt > timeout) {
+                        throw createTimeoutError([pointer], timeout);
+                    }
+                    throwIfAborted();
+                    return result;
+                }
+            }
+            finally {
+                if (!isPromiseLike(result)) {
+                    pending.delete(pointer);
+                }
+            }
+            let listener;
+            let loaderTimer;
+            return Promise.race([
+                result,
+                new Promise((_resolve, reject) => {
+                    listener = reject;
+                    listeners.add(listener);
+                    if (timeout) {
+                        loaderTimer = setTimeout(() => reject(createTimeoutError([pointer], timeout)), timeout);
+                    }
+                }),
+            ]).finally(() => {
+                pending.delete(pointer);
+                listeners.delete(listener);
+                clearTimeout(loaderTimer);
+                // The task is still running if it lost the race, its outcome doesn't matter anymore
+                Promise.resolve(result).catch(() => { });
+            });
+        },
+        dispose() {
+            clearTimeout(timer);
+            if (options.signal) {
+                options.signal.removeEventListener('abort', onAbort);
+            }
+        },
+    };
+}
+//
+function createAbortError(pointers) {
+    return new AbortError(pointers.length
+        ? `Loading was aborted while ${pointers.join(', ')} ${pointers.length === 1 ? 'was' : 'were'} still pending`
+        : 'Loading was aborted', { pointers });
+}
+function createTimeoutError(pointers, timeout) {
+    return new TimeoutError(pointers.length
+        ? `Loading timed out after ${timeout}ms while ${pointers.join(', ')} ${pointers.length === 1 ? 'was' : 'were'} still pending`
+        : `Loading timed out after ${timeout}ms`, { pointers, timeout });
+}
+function isPromiseLike(value) {
+    return !!value && typeof value.then === 'function';
+}
+
+// Points of the pipeline where transforms run, in order
+const TRANSFORM_STAGES = ['beforeImports', 'afterImports', 'beforeAccept'];
+/**
+ * Calls the hook of every plugin, in the order of `options.plugins`.
+ * A hook receives the value returned by the previous one and replaces it by returning a new value.
+ *
+ * @param options Options holding the plugins
+ * @param hook Name of the hook
+ * @param value Value to observe or replace
+ * @param context Additional information about the value
+ * @returns The value returned by the last hook, or the original one
+ */
+async function runHooks(options, hook, value, context) {
+    let result = value;
+    for (const plugin of options.plugins || []) {
+        if (typeof plugin[hook] === 'function') {
+            const replacement = await plugin[hook](result, context);
+            if (replacement !== undefined) {
+                result = replacement;
+            }
+        }
+    }
+    return result;
+}
+/**
+ * Same as `runHooks` but the hooks must not return a Promise
+ */
+function runHooksSync(options, hook, value, context) {
+    let result = value;
+    for (const plugin of options.plugins || []) {
+        if (typeof plugin[hook] === 'function') {
+            const replacement = plugin[hook](result, context);
+            if (isPromiseLike(replacement)) {
+                throw new Error(`The ${hook} hook${plugin.name ? ` of ${plugin.name}` : ''} returned a Promise, which isn't supported when loading synchronously`);
+            }
+            if (replacement !== undefined) {
+                result = replacement;
+            }
+        }
+    }
+    return result;
+}
+/**
+ * Runs the transforms of `options.transforms` registered for the stage, in the order they are listed in.
+ * A transform replaces the document of the source by returning a new one.
+ *
+ * @param source Source to transform, it is copied before its document is replaced
+ * @param options Options of the pointer the source comes from
+ * @param stage Point of the pipeline being reached
+ */
+async function runTransforms(source, options, stage) {
+    let result = source;
+    for (const { transform } of getTransforms(options, stage)) {
+        const document = await transform(result, options);
+        if (document) {
+            result = Object.assign(Object.assign({}, result), { document });
+        }
+    }
+    return result;
+}
+/**
+ * Same as `runTransforms` but the transforms must not return a Promise
+ */
+function runTransformsSync(source, options, stage) {
+    let result = source;
+    for (const { transform } of getTransforms(options, stage)) {
+        const document = transform(result, options);
+        if (isPromiseLike(document)) {
+            throw new Error(`A ${stage} transform returned a Promise, which isn't supported when loading synchronously`);
+        }
+        if (document) {
+            result = Object.assign(Object.assign({}, result), { document });
+        }
+    }
+    return result;
+}
+//
+function getTransforms(options, stage) {
+    const transforms = options.transforms || [];
+    for (const { stage: transformStage } of transforms) {
+        if (!TRANSFORM_STAGES.includes(transformStage)) {
+            throw new Error(`Unknown transform stage ${transformStage}, expected one of ${TRANSFORM_STAGES.join(', ')}`);
+        }
+    }
+    return transforms.filter(transform => transform.stage === stage);
+}
+
+const IGNORE_FILE = '.graphqlignore';
+/**
+ * Creates a function telling which rule of the ignore files ignores a file, if any.
+ * `.graphqlignore` files are always read, `.gitignore` files only with `gitignore: true`.
+ * They are looked up in every directory from the root of the repository `cwd` belongs to
+ * (or `cwd` itself outside of a repository) down to the directory of the file, and read once.
+ * Patterns follow the .gitignore syntax and are relative to the directory of their file,
+ * the last one matching a file wins. Files outside of the root are never ignored.
+ */
+function createIgnoreMatcher(options) {
+    const fileNames = options.gitignore ? ['.gitignore', IGNORE_FILE] : [IGNORE_FILE];
+    const root = findIgnoreRoot(options);
+    const rulesByDirectory = new Map();
+    // Every ignore file looked for, whether it exists or not
+    const ignoreFiles = new Set();
+    const readRules = (directory) => {
+        if (!rulesByDirectory.has(directory)) {
+            const files = fileNames.map(fileName => options.path.join(directory, fileName));
+            files.forEach(file => ignoreFiles.add(file));
+            rulesByDirectory.set(directory, flatten(files.map(file => readIgnoreFile(file, options))));
+        }
+        return rulesByDirectory.get(directory);
+    };
+    const findIgnoreRule = (filepath) => {
+        const absolutePath = options.path.resolve(options.cwd, filepath);
+        const relativePath = options.path.relative(root, absolutePath);
+        if (!relativePath || relativePath.startsWith('..') || options.path.isAbsolute(relativePath)) {
+            return undefined;
+        }
+        const segments = relativePath.split(options.path.sep);
+        let directory = root;
+        let matchedRule;
+        for (let i = 0; i < segments.length; i++) {
+            const pathInDirectory = segments.slice(i).join('/');
+            for (const rule of readRules(directory)) {
+                if (rule.regexp.test(pathInDirectory)) {
+                    matchedRule = rule.negated ? undefined : rule;
+                }
+            }
+            directory = options.path.join(directory, segments[i]);
+        }
+        return matchedRule;
+    };
+    return Object.assign(findIgnoreRule, { ignoreFiles });
+}
+/**
+ * Turns a glob into the source of a RegExp, `*` and `?` never match a slash
+ */
+function globToRegExpSource(pattern) {
+    let source = '';
+    for (let i = 0; i < pattern.length; i++) {
+        const char = pattern[i];
+        if (char === '*' && pattern[i + 1] === '*') {
+            // `**/` matches any number of directories, a trailing `**` everything inside
+            source += pattern[i + 2] === '/' ? '(?:.*/)?' : '.*';
+            i += pattern[i + 2] === '/' ? 2 : 1;
+        }
+        else if (char === '*') {
+            source += '[^/]*';
+        }
+        else if (char === '?') {
+            source += '[^/]';
+        }
+        else if (char === '[' && pattern.indexOf(']', i + 2) !== -1) {
+            const end = pattern.indexOf(']', i + 2);
+            source += pattern.slice(i, end + 1).replace(/^\[!/, '[^');
+            i = end;
+        }
+        else if (char === '\\' && i + 1 < pattern.length) {
+            source += escapeRegExp(pattern[i + 1]);
+            i++;
+        }
+        else {
+            source += escapeRegExp(char);
+        }
+    }
+    return source;
+}
+//
+function findIgnoreRoot(options) {
+    let directory = options.path.resolve(options.cwd);
+    while (!options.fs.existsSync(options.path.join(directory, '.git'))) {
+        const parent = options.path.dirname(directory);
+        if (parent === directory) {
+            return options.path.resolve(options.cwd);
+        }
+        directory = parent;
+    }
+    return directory;
+}
+function readIgnoreFile(file, options) {
+    if (!options.fs.existsSync(file)) {
+        return [];
+    }
+    return options.fs
+        .readFileSync(file, 'utf8')
+        .split(/\r?\n/)
+        .map(line => parseIgnorePattern(line, file))
+        .filter(Boolean);
+}
+function parseIgnorePattern(line, file) {
+    // Trailing spaces are dropped unless they are escaped
+    let pattern = line.replace(/(^|[^\\])\s+$/, '$1');
+    if (!pattern || pattern.startsWith('#')) {
+        return undefined;
+    }
+    const negated = pattern.startsWith('!');
+    if (negated) {
+        pattern = pattern.slice(1);
+    }
+    const directoryOnly = pattern.endsWith('/');
+    pattern = pattern.replace(/\/+$/, '');
+    // A slash at the start or in the middle anchors the pattern to the directory of the file
+    const anchored = pattern.includes('/');
+    const source = globToRegExpSource(pattern.replace(/^\//, ''));
+    return {
+        file,
+        pattern: line.trim(),
+        negated,
+        regexp: new RegExp(`^${anchored ? '' : '(?:.*/)?'}${source}${directoryOnly ? '/' : '(?:/|$)'}`),
+    };
+}
+function escapeRegExp(char) {
+    return char.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+const CONCURRENCY_LIMIT = 50;
+async function collectSources({ pointerOptionMap, options, abortScope = createAbortScope({}), globOptionMap = {}, }) {
     const sources = [];
+    const sourcePointers = [];
     const globs = [];
-    const globOptions = {};
-    const queue = useQueue({ concurrency: CONCURRENCY_LIMIT });
+    const findIgnoreRule = options.findIgnoreRule || createIgnoreMatcher(options);
+    const queue = useQueue({ concurrency: getConcurrency(options, 'collect', CONCURRENCY_LIMIT) });
     const unixify = await import('unixify').then(m => m.default || m);
+    const isExcluded = createExclusionMatcher(extractNegatedPointers(pointerOptionMap), options, unixify);
     const { addSource, addGlob, collect } = createHelpers({
         sources,
+        sourcePointers,
         globs,
         options,
-        globOptions,
-        stack: [collectDocumentString, collectGlob, collectCustomLoader, collectFallback],
+        stack: [...(options.collectors || []), collectDocumentString, collectGlob, collectCustomLoader, collectMarkdown, collectFallback],
+    });
+    collectPointers({
+        collect,
+        pointerOptionMap,
+        options,
+        unixify,
+        isExcluded,
+        addSource,
+        addGlob,
+        queue: (pointer, task) => queue.add(() => abortScope.track(pointer, task)),
+        sync: false,
     });
-    for (const pointer in pointerOptionMap) {
-        const pointerOptions = Object.assign(Object.assign({}, ((_a = pointerOptionMap[pointer]) !== null && _a !== void 0 ? _a : {})), { unixify });
-        collect({
-            pointer,
-            pointerOptions,
-            pointerOptionMap,
-            options,
-            addSource,
-            addGlob,
-            queue: queue.add,
-        });
-    }
     if (globs.length) {
-        includeIgnored({
-            options,
-            unixify,
-            globs,
-        });
+        const ignored = getIgnoredGlobs({ options, unixify });
         const { default: globby } = await import('globby');
-        const paths = await globby(globs, createGlobbyOptions(options));
+        const matches = await Promise.all(globs.map(({ pointer }) => abortScope.track(pointer, async () => {
+            const patterns = [pointer, ...ignored];
+            return runHooks(options, 'onGlobExpanded', await globby(patterns, createGlobbyOptions(options)), { globs: patterns, options });
+        })));
         collectSourcesFromGlobals({
-            filepaths: paths,
+            filepaths: attributeGlobMatches({ globs, matches, pointerOptionMap, globOptionMap, findIgnoreRule, isExcluded, options }),
             options,
-            globOptions,
+            globOptionMap,
             pointerOptionMap,
             addSource,
             queue: queue.add,
+            abortScope,
         });
     }
     await queue.runAll();
-    return sources;
+    const duplicates = await runHooks(options, 'onSourcesDeduplicated', findDuplicateSources({ sources, sourcePointers, options }), { options });
+    return Promise.all(removeDuplicateSources(sources, duplicates).map(source => runHooks(options, 'onSourceCollected', source, { options })));
 }
-function collectSourcesSync({ pointerOptionMap, options, }) {
-    var _a;
+function collectSourcesSync({ pointerOptionMap, options, abortScope = createAbortScope({}), globOptionMap = {}, }) {
     const sources = [];
+    const sourcePointers = [];
     const globs = [];
-    const globOptions = {};
+    const findIgnoreRule = options.findIgnoreRule || createIgnoreMatcher(options);
     const queue = useSyncQueue();
     let unixify = require('unixify');
     unixify = unixify.default || unixify;
+    const isExcluded = createExclusionMatcher(extractNegatedPointers(pointerOptionMap), options, unixify);
     const { addSource, addGlob, collect } = createHelpers({
         sources,
+        sourcePointers,
         globs,
         options,
-        globOptions,
-        stack: [collectDocumentString, collectGlob, collectCustomLoaderSync, collectFallbackSync],
+        stack: [...(options.collectors || []), collectDocumentString, collectGlob, collectCustomLoaderSync, collectMarkdownSync, collectFallbackSync],
+    });
+    collectPointers({
+        collect,
+        pointerOptionMap,
+        options,
+        unixify,
+        isExcluded,
+        addSource,
+        addGlob,
+        queue: (pointer, task) => queue.add(() => abortScope.track(pointer, task)),
+        sync: true,
+    });
+    if (globs.length) {
+        const ignored = getIgnoredGlobs({ options, unixify });
+        const globby = require('globby');
+        const matches = globs.map(({ pointer }) => abortScope.track(pointer, () => {
+            const patterns = [pointer, ...ignored];
+            return runHooksSync(options, 'onGlobExpanded', globby.sync(patterns, createGlobbyOptions(options)), { globs: patterns, options });
+        }));
+        collectSourcesFromGlobalsSync({
+            filepaths: attributeGlobMatches({ globs, matches, pointerOptionMap, globOptionMap, findIgnoreRule, isExcluded, options }),
+            options,
+            globOptionMap,
+            pointerOptionMap,
+            addSource,
+            queue: queue.add,
+            abortScope,
+        });
+    }
+    queue.runAll();
+    const duplicates = runHooksSync(options, 'onSourcesDeduplicated', findDuplicateSources({ sources, sourcePointers, options }), { options });
+    return removeDuplicateSources(sources, duplicates).map(source => runHooksSync(options, 'onSourceCollected', source, { options }));
+}
+//
+function createHelpers({ sources, sourcePointers, globs, options, stack, }) {
+    const addSource = ({ pointer, source, noCache, }) => {
+        sources.push(source);
+        sourcePointers.push(pointer);
+        if (!noCache) {
+            options.cache[pointer] = source;
+        }
+    };
+    const collect = useStack(...stack);
+    const addGlob = ({ pointerOptions, pointer }) => {
+        globs.push({ pointer, pointerOptions });
+    };
+    return {
+        addSource,
+        collect,
+        addGlob,
+    };
+}
+/**
+ * Groups the sources that are the same file, reached through several pointers, globs or symlinks.
+ * With `dedupeSources: 'content'` the sources with the same content are grouped too, wherever they come from.
+ * The first source of each group is kept.
+ */
+function findDuplicateSources({ sources, sourcePointers, options }) {
+    var _a;
+    const mode = (_a = options.dedupeSources) !== null && _a !== void 0 ? _a : 'realpath';
+    if (!mode) {
+        return [];
+    }
+    const groups = new Map();
+    sources.forEach((source, i) => {
+        const key = mode === 'content' ? getSourceContent(source) : getSourceRealPath(source, options);
+        if (key === undefined) {
+            return;
+        }
+        const group = groups.get(key);
+        if (group) {
+            group.pointers.push(sourcePointers[i]);
+            group.duplicates.push(source);
+        }
+        else {
+            groups.set(key, { source, pointers: [sourcePointers[i]], duplicates: [] });
+        }
     });
-    for (const pointer in pointerOptionMap) {
+    const duplicates = Array.from(groups.values()).filter(group => group.duplicates.length > 0);
+    for (const { source, pointers } of duplicates) {
+        debugLog(`${pointers.join(', ')} resolve to the same source, only ${source.location} is kept`);
+    }
+    return duplicates;
+}
+function removeDuplicateSources(sources, duplicates) {
+    const removed = new Set(flatten(duplicates.map(group => group.duplicates)));
+    return sources.filter(source => !removed.has(source));
+}
+function getSourceRealPath(source, options) {
+    if (!source.location || !options.fs || !options.fs.realpathSync) {
+        return undefined;
+    }
+    try {
+        const realPath = options.fs.realpathSync(options.path.resolve(options.cwd, source.location));
+        // The blocks of a Markdown file share its location
+        return source.locationOffset ? `${realPath}:${source.locationOffset.line}` : realPath;
+    }
+    catch (error) {
+        // Not a file
+        return undefined;
+    }
+}
+function getSourceContent(source) {
+    if (source.rawSDL) {
+        return source.rawSDL;
+    }
+    if (source.document) {
+        return print(source.document);
+    }
+    if (source.schema) {
+        return printSchemaWithDirectives(source.schema);
+    }
+    return undefined;
+}
+/**
+ * Runs every pointer through the stack of collectors: the ones from `options.collectors` first,
+ * in the order they are listed, then the built-in ones (document strings, globs, custom loaders, Markdown files and loaders).
+ * A collector claims a pointer by not calling `next`, or expands it with `addPointer`.
+ * Added pointers inherit the options of the pointer they come from and go through the whole stack.
+ * They have to be added synchronously, all of them are known before the queued tasks run.
+ */
+function collectPointers({ collect, pointerOptionMap, options, unixify, isExcluded, addSource, addGlob, queue, sync, }) {
+    const collected = new Set();
+    let closed = false;
+    const collectPointer = (pointer) => {
+        var _a;
+        collected.add(pointer);
+        if (isExcludedFile(pointer, isExcluded)) {
+            debugLog(`${pointer} is excluded by a negated pointer`);
+            return;
+        }
         const pointerOptions = Object.assign(Object.assign({}, ((_a = pointerOptionMap[pointer]) !== null && _a !== void 0 ? _a : {})), { unixify });
         collect({
             pointer,
@@ -288,92 +1381,123 @@ function collectSourcesSync({ pointerOptionMap, options, }) {
             options,
             addSource,
             addGlob,
-            queue: queue.add,
-        });
-    }
-    if (globs.length) {
-        includeIgnored({
-            options,
-            unixify,
-            globs,
-        });
-        const globby = require('globby');
-        const paths = globby.sync(globs, createGlobbyOptions(options));
-        collectSourcesFromGlobalsSync({
-            filepaths: paths,
-            options,
-            globOptions,
-            pointerOptionMap,
-            addSource,
-            queue: queue.add,
+            addPointer(newPointer, newPointerOptions = {}) {
+                if (closed) {
+                    throw new Error(`${newPointer} was added from ${pointer} after the pointers were collected, addPointer has to be called synchronously`);
+                }
+                if (!collected.has(newPointer)) {
+                    pointerOptionMap[newPointer] = Object.assign(Object.assign(Object.assign({}, pointerOptionMap[pointer]), pointerOptionMap[newPointer]), newPointerOptions);
+                    collectPointer(newPointer);
+                }
+            },
+            queue: (task) => queue(pointer, task),
+            sync,
         });
+    };
+    for (const pointer of Object.keys(pointerOptionMap)) {
+        if (!collected.has(pointer)) {
+            collectPointer(pointer);
+        }
     }
-    queue.runAll();
-    return sources;
+    closed = true;
 }
-//
-function createHelpers({ sources, globs, options, globOptions, stack, }) {
-    const addSource = ({ pointer, source, noCache, }) => {
-        sources.push(source);
-        if (!noCache) {
-            options.cache[pointer] = source;
-        }
-    };
-    const collect = useStack(...stack);
-    const addGlob = ({ pointerOptions, pointer }) => {
-        globs.push(pointer);
-        Object.assign(globOptions, pointerOptions);
-    };
-    return {
-        addSource,
-        collect,
-        addGlob,
-    };
+/**
+ * Takes the negated pointers, the ones starting with `!`, out of the map.
+ * They exclude files from every other pointer, globs and explicit files alike.
+ */
+function extractNegatedPointers(pointerOptionMap) {
+    const negatedPointers = Object.keys(pointerOptionMap).filter(pointer => pointer.startsWith('!'));
+    negatedPointers.forEach(pointer => delete pointerOptionMap[pointer]);
+    return negatedPointers.map(pointer => pointer.slice(1));
 }
-function includeIgnored({ options, unixify, globs }) {
-    if (options.ignore) {
-        const ignoreList = asArray(options.ignore)
-            .map(g => `!(${g})`)
-            .map(unixify);
-        if (ignoreList.length > 0) {
-            globs.push(...ignoreList);
-        }
+function createExclusionMatcher(patterns, options, unixify) {
+    const toPath = (pointer) => unixify(options.path.resolve(options.cwd, pointer));
+    const regexps = patterns.map(pattern => new RegExp(`^${globToRegExpSource(toPath(pattern))}$`));
+    return (filepath) => regexps.some(regexp => regexp.test(toPath(filepath)));
+}
+function isExcludedFile(pointer, isExcluded) {
+    // Globs are expanded first, document strings and urls are no files
+    return !isGlob(pointer) && !getPointerScheme(pointer) && !isDocumentString(pointer) && isExcluded(pointer);
+}
+function getIgnoredGlobs({ options, unixify }) {
+    if (!options.ignore) {
+        return [];
     }
+    return asArray(options.ignore)
+        .map(g => `!(${g})`)
+        .map(unixify);
+}
+/**
+ * Gives every matched file the options of the glob pointers that matched it.
+ * A file matched by several globs gets their options merged in the order the pointers are listed,
+ * so the last one wins on conflicts. A file that is also listed as a pointer of its own keeps only its own options.
+ * Files ignored by the ignore files or excluded by a negated pointer are left out.
+ * The options of each file are kept in `globOptionMap` for parsing.
+ */
+function attributeGlobMatches({ globs, matches, pointerOptionMap, globOptionMap, findIgnoreRule, isExcluded, options, }) {
+    const listedPaths = new Set(Object.keys(pointerOptionMap)
+        .filter(pointer => !isGlob(pointer))
+        .map(pointer => options.path.resolve(options.cwd, pointer)));
+    const matchedBy = new Map();
+    globs.forEach(({ pointer }, i) => {
+        for (const filepath of matches[i]) {
+            if (listedPaths.has(options.path.resolve(options.cwd, filepath)) || isExcluded(filepath)) {
+                continue;
+            }
+            const ignoreRule = findIgnoreRule(filepath);
+            if (ignoreRule) {
+                debugLog(`${filepath} is ignored by ${ignoreRule.pattern} in ${ignoreRule.file}`);
+                continue;
+            }
+            if (!matchedBy.has(filepath)) {
+                matchedBy.set(filepath, []);
+            }
+            matchedBy.get(filepath).push(i);
+        }
+    });
+    return Array.from(matchedBy.entries()).map(([filepath, indexes]) => {
+        if (indexes.length > 1) {
+            debugLog(`${filepath} is matched by ${indexes.map(i => globs[i].pointer).join(', ')}, their options are merged`);
+        }
+        globOptionMap[filepath] = Object.assign({}, ...indexes.map(i => globs[i].pointerOptions));
+        return filepath;
+    });
 }
 function createGlobbyOptions(options) {
-    return Object.assign(Object.assign({ absolute: true }, options), { ignore: [] });
+    // `concurrency` means something else to globby, and the ignore files are applied once the globs are expanded
+    return Object.assign(Object.assign({ absolute: true }, options), { ignore: [], concurrency: undefined, gitignore: false });
 }
-function collectSourcesFromGlobals({ filepaths, options, globOptions, pointerOptionMap, addSource, queue, }) {
-    const collectFromGlobs = useStack(collectCustomLoader, collectFallback);
+function collectSourcesFromGlobals({ filepaths, options, globOptionMap, pointerOptionMap, addSource, queue, abortScope, }) {
+    const collectFromGlobs = useStack(collectCustomLoader, collectMarkdown, collectFallback);
     for (let i = 0; i < filepaths.length; i++) {
         const pointer = filepaths[i];
         collectFromGlobs({
             pointer,
-            pointerOptions: globOptions,
+            pointerOptions: globOptionMap[pointer],
             pointerOptionMap,
             options,
             addSource,
             addGlob: () => {
                 throw new Error(`I don't accept any new globs!`);
             },
-            queue,
+            queue: (task) => queue(() => abortScope.track(pointer, task)),
         });
     }
 }
-function collectSourcesFromGlobalsSync({ filepaths, options, globOptions, pointerOptionMap, addSource, queue, }) {
-    const collectFromGlobs = useStack(collectCustomLoaderSync, collectFallbackSync);
+function collectSourcesFromGlobalsSync({ filepaths, options, globOptionMap, pointerOptionMap, addSource, queue, abortScope, }) {
+    const collectFromGlobs = useStack(collectCustomLoaderSync, collectMarkdownSync, collectFallbackSync);
     for (let i = 0; i < filepaths.length; i++) {
         const pointer = filepaths[i];
         collectFromGlobs({
             pointer,
-            pointerOptions: globOptions,
+            pointerOptions: globOptionMap[pointer],
             pointerOptionMap,
             options,
             addSource,
             addGlob: () => {
                 throw new Error(`I don't accept any new globs!`);
             },
-            queue,
+            queue: (task) => queue(() => abortScope.track(pointer, task)),
         });
     }
 }
@@ -430,7 +1554,8 @@ function collectCustomLoader({ pointer, pointerOptions, queue, addSource, option
     if (pointerOptions.loader) {
         return queue(async () => {
             const loader = await useCustomLoader(pointerOptions.loader, options.cwd);
-            const result = await loader(pointer, Object.assign(Object.assign({}, options), pointerOptions), pointerOptionMap);
+            // Custom loaders share the limit set for `custom`
+            const result = await limitLoader(options, 'custom', () => loader(pointer, Object.assign(Object.assign({}, options), pointerOptions), pointerOptionMap));
             if (!result) {
                 return;
             }
@@ -451,6 +1576,92 @@ function collectCustomLoaderSync({ pointer, pointerOptions, queue, addSource, op
     }
     next();
 }
+// Fenced code blocks in one of these languages are collected from Markdown and MDX files
+const MARKDOWN_LANGUAGES = ['graphql', 'gql'];
+// A block with this word in its info string, like ```graphql skip, is left out
+const MARKDOWN_SKIP_MARKER = 'skip';
+function collectMarkdown({ pointer, options, addSource, queue }, next) {
+    if (isMarkdownFile(pointer)) {
+        return queue(async () => {
+            const filepath = options.path.resolve(options.cwd, pointer);
+            const content = options.fs.promises
+                ? await options.fs.promises.readFile(filepath, 'utf8')
+                : options.fs.readFileSync(filepath, 'utf8');
+            addMarkdownSources({ pointer, content, addSource });
+        });
+    }
+    next();
+}
+function collectMarkdownSync({ pointer, options, addSource, queue }, next) {
+    if (isMarkdownFile(pointer)) {
+        return queue(() => {
+            const content = options.fs.readFileSync(options.path.resolve(options.cwd, pointer), 'utf8');
+            addMarkdownSources({ pointer, content, addSource });
+        });
+    }
+    next();
+}
+function isMarkdownFile(pointer) {
+    return !getPointerScheme(pointer) && ['.md', '.mdx'].includes(getPointerExtension(pointer));
+}
+/**
+ * Adds a source for each GraphQL block of the file.
+ * Its location is the file, and its `locationOffset` the line the block starts at,
+ * so the lines reported for its definitions and its errors are lines of the file.
+ */
+function addMarkdownSources({ pointer, content, addSource }) {
+    for (const block of extractMarkdownBlocks(content)) {
+        addSource({
+            pointer,
+            source: {
+                location: pointer,
+                rawSDL: block.body,
+                locationOffset: { line: block.line, column: 1 },
+            },
+            noCache: true,
+        });
+    }
+}
+/**
+ * Finds the fenced code blocks written in GraphQL, following the CommonMark rules:
+ * a fence is at least three backticks or tildes, and is closed by a longer or equally long one of the same character.
+ */
+function extractMarkdownBlocks(content) {
+    const blocks = [];
+    let fence;
+    content.split(/\r?\n/).forEach((line, index) => {
+        if (!fence) {
+            const match = line.match(/^( {0,3})(`{3,}|~{3,})(.*)$/);
+            // Backticks can't be part of the info string of a backtick fence
+            if (match && !(match[2][0] === '`' && match[3].includes('`'))) {
+                const [language, ...meta] = match[3].trim().split(/\s+/);
+                fence = {
+                    indent: match[1].length,
+                    marker: match[2],
+                    collected: MARKDOWN_LANGUAGES.includes(language.toLowerCase()) && !meta.includes(MARKDOWN_SKIP_MARKER),
+                    line: index + 2,
+                    lines: [],
+                };
+            }
+            return;
+        }
+        const closing = line.match(/^ {0,3}(`{3,}|~{3,})\s*$/);
+        if (closing && closing[1][0] === fence.marker[0] && closing[1].length >= fence.marker.length) {
+            if (fence.collected) {
+                blocks.push({ line: fence.line, body: fence.lines.join('\n') });
+            }
+            fence = undefined;
+            return;
+        }
+        // The content is unindented as much as the opening fence
+        fence.lines.push(line.replace(new RegExp(`^ {0,${fence.indent}}`), ''));
+    });
+    // A fence left open runs to the end of the file
+    if (fence && fence.collected) {
+        blocks.push({ line: fence.line, body: fence.lines.join('\n') });
+    }
+    return blocks;
+}
 function collectFallback({ queue, pointer, options, pointerOptions, addSource }) {
     return queue(async () => {
         const source = await loadFile(pointer, Object.assign(Object.assign({}, options), pointerOptions));
@@ -481,6 +1692,43 @@ const builtinDirectives = [
     'connection',
     'client',
 ];
+const specifiedTypes = ['String', 'Float', 'Int', 'Boolean', 'ID'];
+const specifiedDirectives = ['deprecated', 'skip', 'include', 'specifiedBy'];
+// Standard definitions of each preset, added to the result when they are referenced
+const builtinPresets = {
+    federation: `
+    scalar _Any
+    scalar _FieldSet
+    directive @external on FIELD_DEFINITION
+    directive @requires(fields: _FieldSet!) on FIELD_DEFINITION
+    directive @provides(fields: _FieldSet!) on FIELD_DEFINITION
+    directive @key(fields: _FieldSet!) on OBJECT | INTERFACE
+    directive @extends on OBJECT | INTERFACE
+  `,
+    'apollo-cache-control': `
+    enum CacheControlScope {
+      PUBLIC
+      PRIVATE
+    }
+    directive @cacheControl(maxAge: Int, scope: CacheControlScope) on FIELD_DEFINITION | OBJECT | INTERFACE | UNION
+  `,
+    relay: `
+    directive @connection(key: String!, filters: [String]) on FIELD
+  `,
+    none: '',
+};
+// Each extension kind mapped to the kind of the definition it extends
+const EXTENSION_BASE_KINDS = {
+    [Kind.SCHEMA_EXTENSION]: Kind.SCHEMA_DEFINITION,
+    [Kind.SCALAR_TYPE_EXTENSION]: Kind.SCALAR_TYPE_DEFINITION,
+    [Kind.OBJECT_TYPE_EXTENSION]: Kind.OBJECT_TYPE_DEFINITION,
+    [Kind.INTERFACE_TYPE_EXTENSION]: Kind.INTERFACE_TYPE_DEFINITION,
+    [Kind.UNION_TYPE_EXTENSION]: Kind.UNION_TYPE_DEFINITION,
+    [Kind.ENUM_TYPE_EXTENSION]: Kind.ENUM_TYPE_DEFINITION,
+    [Kind.INPUT_OBJECT_TYPE_EXTENSION]: Kind.INPUT_OBJECT_TYPE_DEFINITION,
+};
+// Members an extension can add to the definition it extends
+const EXTENSION_KEYS = ['directives', 'interfaces', 'fields', 'values', 'types', 'operationTypes'];
 /**
  * Post processing of all imported type definitions. Loops over each of the
  * imported type definitions, and processes it using collectNewTypeDefinitions.
@@ -488,23 +1736,29 @@ const builtinDirectives = [
  * @param allDefinitions All definitions from all schemas
  * @param definitionPool Current definitions (from first schema)
  * @param newTypeDefinitions All imported definitions
+ * @param context Import chains and excluded types collected while importing, used in error reports
  * @returns Final collection of type definitions for the resulting schema
  */
-function completeDefinitionPool(allDefinitions, definitionPool, newTypeDefinitions) {
-    const visitedDefinitions = {};
+function completeDefinitionPool(allDefinitions, definitionPool, newTypeDefinitions, context) {
+    const builtins = context ? context.builtins : resolveBuiltins({});
+    const visitedDefinitions = new Set();
+    const errors = [];
     while (newTypeDefinitions.length > 0) {
-        const schemaMap = keyBy(reverse(allDefinitions), (d) => ('name' in d ? d.name.value : 'schema'));
+        // Extensions are never looked up by name, only their base definitions are
+        const schemaMap = keyBy(reverse(allDefinitions).filter((d) => !isTypeExtension(d)), getDefinitionName);
         const newDefinition = newTypeDefinitions.shift();
-        const defName = 'name' in newDefinition ? newDefinition.name.value : 'schema';
-        if (visitedDefinitions[defName]) {
+        // Extensions share the name of the type they extend, so they are tracked by where they come from
+        const visitedKey = isTypeExtension(newDefinition) ? getExtensionKey(newDefinition) : getDefinitionName(newDefinition);
+        if (visitedDefinitions.has(visitedKey)) {
             continue;
         }
-        const collectedTypedDefinitions = collectNewTypeDefinitions(allDefinitions, definitionPool, newDefinition, schemaMap);
+        const collectedTypedDefinitions = collectNewTypeDefinitions(allDefinitions, definitionPool, newDefinition, Object.assign(Object.assign({}, builtins.definitions), schemaMap), errors, context, builtins);
         newTypeDefinitions.push(...collectedTypedDefinitions);
         definitionPool.push(...collectedTypedDefinitions);
-        visitedDefinitions[defName] = true;
+        visitedDefinitions.add(visitedKey);
     }
-    return uniqBy(definitionPool, 'name.value');
+    throwErrors(errors);
+    return uniqBy(definitionPool, (d) => (isTypeExtension(d) ? getExtensionKey(d) : d.name && d.name.value));
 }
 /**
  * Processes a single type definition, and performs a number of checks:
@@ -517,63 +1771,75 @@ function completeDefinitionPool(allDefinitions, definitionPool, newTypeDefinitio
  * @param definitionPool Resulting definitions
  * @param newDefinition All imported definitions
  * @param schemaMap Map of all definitions for easy lookup
+ * @param errors Collects the missing types instead of stopping at the first one
+ * @param context Import chains and excluded types collected while importing
+ * @param builtins Scalars and directives that don't need to be defined
  * @returns All relevant type definitions to add to the final schema
  */
-function collectNewTypeDefinitions(allDefinitions, definitionPool, newDefinition, schemaMap) {
+function collectNewTypeDefinitions(allDefinitions, definitionPool, newDefinition, schemaMap, errors, context, builtins) {
     let newTypeDefinitions = [];
+    // Extensions are handled like the definitions they extend
+    const kind = EXTENSION_BASE_KINDS[newDefinition.kind] || newDefinition.kind;
+    if (isTypeExtension(newDefinition)) {
+        collectBaseDefinition();
+    }
+    else if (Object.values(EXTENSION_BASE_KINDS).includes(kind)) {
+        collectExtensions();
+    }
     if (newDefinition.kind !== Kind.DIRECTIVE_DEFINITION) {
-        newDefinition.directives.forEach(collectDirective);
+        (newDefinition.directives || []).forEach(collectDirective);
     }
-    if (newDefinition.kind === Kind.ENUM_TYPE_DEFINITION) {
-        newDefinition.values.forEach((value) => value.directives.forEach(collectDirective));
+    if (kind === Kind.ENUM_TYPE_DEFINITION) {
+        (newDefinition.values || []).forEach((value) => value.directives.forEach(collectDirective));
     }
-    if (newDefinition.kind === Kind.INPUT_OBJECT_TYPE_DEFINITION) {
-        newDefinition.fields.forEach(collectNode);
+    if (kind === Kind.INPUT_OBJECT_TYPE_DEFINITION) {
+        (newDefinition.fields || []).forEach(collectNode);
     }
-    if (newDefinition.kind === Kind.INTERFACE_TYPE_DEFINITION) {
+    if (kind === Kind.INTERFACE_TYPE_DEFINITION) {
         const interfaceName = newDefinition.name.value;
-        newDefinition.fields.forEach(collectNode);
-        const interfaceImplementations = allDefinitions.filter((d) => d.kind === Kind.OBJECT_TYPE_DEFINITION && d.interfaces.some((i) => i.name.value === interfaceName));
+        (newDefinition.fields || []).forEach(collectNode);
+        const interfaceImplementations = allDefinitions.filter((d) => (d.kind === Kind.OBJECT_TYPE_DEFINITION || d.kind === Kind.OBJECT_TYPE_EXTENSION) &&
+            (d.interfaces || []).some((i) => i.name.value === interfaceName));
         newTypeDefinitions.push(...interfaceImplementations);
     }
-    if (newDefinition.kind === Kind.UNION_TYPE_DEFINITION) {
-        newDefinition.types.forEach((type) => {
-            if (!definitionPool.some((d) => 'name' in d && d.name.value === type.name.value)) {
+    if (kind === Kind.UNION_TYPE_DEFINITION) {
+        (newDefinition.types || []).forEach((type) => {
+            if (!isCollected(type.name.value)) {
                 const typeName = type.name.value;
                 const typeMatch = schemaMap[typeName];
                 if (!typeMatch) {
-                    throw new Error(`Couldn't find type ${typeName} in any of the schemas.`);
+                    return reportMissingType(`Couldn't find type ${typeName} in any of the schemas.`, typeName, type);
                 }
                 newTypeDefinitions.push(schemaMap[type.name.value]);
             }
         });
     }
-    if (newDefinition.kind === Kind.OBJECT_TYPE_DEFINITION) {
+    if (kind === Kind.OBJECT_TYPE_DEFINITION) {
         // collect missing interfaces
-        newDefinition.interfaces.forEach((int) => {
-            if (!definitionPool.some((d) => 'name' in d && d.name.value === int.name.value)) {
+        (newDefinition.interfaces || []).forEach((int) => {
+            if (!isCollected(int.name.value)) {
                 const interfaceName = int.name.value;
                 const interfaceMatch = schemaMap[interfaceName];
                 if (!interfaceMatch) {
-                    throw new Error(`Couldn't find interface ${interfaceName} in any of the schemas.`);
+                    return reportMissingType(`Couldn't find interface ${interfaceName} in any of the schemas.`, interfaceName, int);
                 }
                 newTypeDefinitions.push(schemaMap[int.name.value]);
             }
         });
         // iterate over all fields
-        newDefinition.fields.forEach((field) => {
+        (newDefinition.fields || []).forEach((field) => {
             collectNode(field);
             // collect missing argument input types
             field.arguments.forEach(collectNode);
         });
     }
-    if (newDefinition.kind === Kind.SCHEMA_DEFINITION) {
-        newDefinition.operationTypes.forEach((operationType) => {
-            if (!definitionPool.some((d) => 'name' in d && d.name.value === operationType.type.name.value)) {
+    if (kind === Kind.SCHEMA_DEFINITION) {
+        (newDefinition.operationTypes || []).forEach((operationType) => {
+            if (!isCollected(operationType.type.name.value)) {
                 const typeName = operationType.type.name.value;
                 const typeMatch = schemaMap[typeName];
                 if (!typeMatch) {
-                    throw new Error(`Couldn't find type ${typeName} in any of the schemas.`);
+                    return reportMissingType(`Couldn't find type ${typeName} in any of the schemas.`, typeName, operationType);
                 }
                 newTypeDefinitions.push(schemaMap[operationType.type.name.value]);
             }
@@ -587,13 +1853,39 @@ function collectNewTypeDefinitions(allDefinitions, definitionPool, newDefinition
         }
     }
     return newTypeDefinitions;
+    function isCollected(name) {
+        return definitionPool.some((d) => !isTypeExtension(d) && getDefinitionName(d) === name);
+    }
+    function collectBaseDefinition() {
+        const baseName = getDefinitionName(newDefinition);
+        if (isCollected(baseName)) {
+            return;
+        }
+        const baseMatch = schemaMap[baseName];
+        if (baseMatch && baseMatch.kind === kind) {
+            newTypeDefinitions.push(baseMatch);
+        }
+        else if (newDefinition.kind !== Kind.SCHEMA_EXTENSION) {
+            // A schema can be extended without being defined, every other type needs its definition
+            reportMissingType(`Couldn't find type ${baseName} to extend in any of the schemas.`, baseName, newDefinition);
+        }
+    }
+    function collectExtensions() {
+        const definitionName = getDefinitionName(newDefinition);
+        const extensions = allDefinitions.filter((d) => EXTENSION_BASE_KINDS[d.kind] === kind &&
+            getDefinitionName(d) === definitionName &&
+            // Selected members keep the location of the extension they were taken from
+            !definitionPool.some((p) => p === d || isSameExtension(p, d)));
+        // A file imported more than once is parsed each time, its extensions are only taken once
+        newTypeDefinitions.push(...uniqBy(extensions, getExtensionKey));
+    }
     function collectFragments(node) {
         if (node.kind === Kind.FRAGMENT_SPREAD) {
             const fragmentName = node.name.value;
-            if (!definitionPool.some((d) => 'name' in d && d.name.value === fragmentName)) {
+            if (!isCollected(fragmentName)) {
                 const fragmentMatch = schemaMap[fragmentName];
                 if (!fragmentMatch) {
-                    throw new Error(`Fragment ${fragmentName}: Couldn't find fragment ${fragmentName} in any of the documents.`);
+                    return reportMissingType(`Fragment ${fragmentName}: Couldn't find fragment ${fragmentName} in any of the documents.`, fragmentName, node);
                 }
                 newTypeDefinitions.push(fragmentMatch);
             }
@@ -611,28 +1903,42 @@ function collectNewTypeDefinitions(allDefinitions, definitionPool, newDefinition
         const nodeType = getNamedType(node.type);
         const nodeTypeName = nodeType.name.value;
         // collect missing argument input types
-        if (!definitionPool.some((d) => 'name' in d && d.name.value === nodeTypeName) &&
-            !includes(builtinTypes, nodeTypeName)) {
+        if (!isCollected(nodeTypeName) &&
+            !includes(builtins.types, nodeTypeName)) {
             const argTypeMatch = schemaMap[nodeTypeName];
-            if (!argTypeMatch) {
-                throw new Error(`Field ${node.name.value}: Couldn't find type ${nodeTypeName} in any of the schemas.`);
+            if (argTypeMatch) {
+                newTypeDefinitions.push(argTypeMatch);
+            }
+            else {
+                reportMissingType(`Field ${node.name.value}: Couldn't find type ${nodeTypeName} in any of the schemas.`, nodeTypeName, node);
             }
-            newTypeDefinitions.push(argTypeMatch);
         }
         node.directives.forEach(collectDirective);
     }
     function collectDirective(directive) {
         const directiveName = directive.name.value;
-        if (!definitionPool.some((d) => 'name' in d && d.name.value === directiveName) &&
-            !includes(builtinDirectives, directiveName)) {
-            const directive = schemaMap[directiveName];
-            if (!directive) {
-                throw new Error(`Directive ${directiveName}: Couldn't find type ${directiveName} in any of the schemas.`);
+        if (!isCollected(directiveName) &&
+            !includes(builtins.directives, directiveName)) {
+            const directiveDefinition = schemaMap[directiveName];
+            if (!directiveDefinition) {
+                return reportMissingType(`Directive ${directiveName}: Couldn't find type ${directiveName} in any of the schemas.`, directiveName, directive);
             }
-            directive.arguments.forEach(collectNode);
-            newTypeDefinitions.push(directive);
+            directiveDefinition.arguments.forEach(collectNode);
+            newTypeDefinitions.push(directiveDefinition);
         }
     }
+    function reportMissingType(message, typeName, node) {
+        const origin = getNodeOrigin(node) || getNodeOrigin(newDefinition);
+        const filePath = origin ? origin.location : undefined;
+        const excludedFrom = context ? context.excludedTypes.get(typeName) : undefined;
+        errors.push(new MissingTypeError(excludedFrom ? `${typeName} is excluded from the import of ${excludedFrom} but is still referenced.` : message, {
+            typeName,
+            filePath,
+            line: origin ? origin.line : undefined,
+            column: origin ? origin.column : undefined,
+            importChain: filePath && context ? context.importChains.get(filePath) : undefined,
+        }));
+    }
 }
 /**
  * Nested visitor for a type node to get to the final NamedType
@@ -645,6 +1951,113 @@ function getNamedType(type) {
         return type;
     }
     return getNamedType(type.type);
+}
+/**
+ * Resolves the scalars and directives that can be used without being defined.
+ * Without presets, the legacy list of Apollo, Federation and Relay names is used as is;
+ * with presets, only the specified ones are known and the preset definitions are provided.
+ *
+ * @param options Known scalars, directives and presets
+ */
+function resolveBuiltins(options) {
+    const knownScalars = options.knownScalars || [];
+    const knownDirectives = options.knownDirectives || [];
+    if (!options.builtinPresets) {
+        return {
+            types: [...builtinTypes, ...knownScalars],
+            directives: [...builtinDirectives, ...knownDirectives],
+            definitions: {},
+        };
+    }
+    const definitions = {};
+    for (const preset of asArray(options.builtinPresets)) {
+        if (!(preset in builtinPresets)) {
+            throw new Error(`Unknown preset ${preset}, expected one of ${Object.keys(builtinPresets).join(', ')}`);
+        }
+        Object.assign(definitions, getPresetDefinitions(preset));
+    }
+    return {
+        types: [...specifiedTypes, ...knownScalars],
+        directives: [...specifiedDirectives, ...knownDirectives],
+        definitions,
+    };
+}
+/**
+ * Checks whether a definition extends a type (or the schema) rather than defining it
+ *
+ * @param definition Definition to check
+ */
+function isTypeExtension(definition) {
+    return definition.kind in EXTENSION_BASE_KINDS;
+}
+/**
+ * Merges each type extension into a copy of the definition it extends.
+ * Extensions without a matching definition are kept as they are.
+ *
+ * @param definitions Definitions and extensions to fold
+ * @param sort Sort the members of the folded definitions
+ * @returns Definitions with their extensions folded in
+ */
+function foldTypeExtensions(definitions, sort) {
+    const foldedDefinitions = new Map(definitions
+        .filter((d) => Object.values(EXTENSION_BASE_KINDS).includes(d.kind))
+        .map((d) => [`${d.kind}:${getDefinitionName(d)}`, Object.assign({}, d)]));
+    const result = [];
+    for (const definition of definitions) {
+        const baseKey = isTypeExtension(definition)
+            ? `${EXTENSION_BASE_KINDS[definition.kind]}:${getDefinitionName(definition)}`
+            : `${definition.kind}:${getDefinitionName(definition)}`;
+        const folded = foldedDefinitions.get(baseKey);
+        if (!folded) {
+            result.push(definition);
+        }
+        else if (!isTypeExtension(definition)) {
+            if (!result.includes(folded)) {
+                result.push(folded);
+            }
+        }
+        else {
+            for (const key of EXTENSION_KEYS) {
+                if (definition[key]) {
+                    folded[key] = (folded[key] || []).concat(definition[key]);
+                    if (sort && key !== 'directives' && key !== 'operationTypes') {
+                        folded[key] = folded[key].sort(compareNodes);
+                    }
+                }
+            }
+        }
+    }
+    return result;
+}
+//
+function getDefinitionName(definition) {
+    return 'name' in definition ? definition.name.value : 'schema';
+}
+/**
+ * Identifies an extension by the file and offset it was parsed from, so the copies
+ * made by parsing a file twice are the same extension. The printed members tell apart
+ * the selections made from it by different imports.
+ */
+function getExtensionKey(extension) {
+    const position = getExtensionPosition(extension);
+    return position ? `${position}:${print(extension)}` : print(extension);
+}
+function getExtensionPosition(extension) {
+    const { loc } = extension;
+    return loc && loc.source ? `${loc.source.name}:${loc.start}` : undefined;
+}
+function isSameExtension(a, b) {
+    const position = getExtensionPosition(a);
+    return position ? position === getExtensionPosition(b) : !!a.loc && a.loc === b.loc;
+}
+const presetDefinitionsCache = {};
+function getPresetDefinitions(preset) {
+    if (!presetDefinitionsCache[preset]) {
+        presetDefinitionsCache[preset] = builtinPresets[preset].trim()
+            ? keyBy(parse(builtinPresets[preset], { noLocation: true }).definitions, getDefinitionName)
+            : {};
+    }
+    return presetDefinitionsCache[preset];
 }
 
 const gqlExt = /\.g(raph)?ql(s)?$/;
@@ -653,6 +2066,26 @@ function isGraphQLFile(f) {
 }
 const IMPORT_FROM_REGEX = /^import\s+(\*|(.*))\s+from\s+('|")(.*)('|");?$/;
 const IMPORT_DEFAULT_REGEX = /^import\s+('|")(.*)('|");?$/;
+const IMPORT_NAMESPACE_REGEX = /^\*\s+as\s+([_A-Za-z][_0-9A-Za-z]*)$/;
+const IMPORT_EXCEPT_REGEX = /^\*\s+except\s+(.+)$/;
+const IMPORT_ALIAS_REGEX = /^([_A-Za-z][_0-9A-Za-z]*)\s+as\s+([_A-Za-z][_0-9A-Za-z]*)$/;
+const ROOT_TYPE_NAMES = ['Query', 'Mutation', 'Subscription'];
+// Object types, interfaces and input types have fields, enums have values and unions have types
+const MEMBER_KEYS = ['fields', 'values', 'types'];
+const RENAMEABLE_KINDS = [
+    Kind.OBJECT_TYPE_DEFINITION,
+    Kind.INTERFACE_TYPE_DEFINITION,
+    Kind.UNION_TYPE_DEFINITION,
+    Kind.ENUM_TYPE_DEFINITION,
+    Kind.INPUT_OBJECT_TYPE_DEFINITION,
+    Kind.SCALAR_TYPE_DEFINITION,
+    Kind.OBJECT_TYPE_EXTENSION,
+    Kind.INTERFACE_TYPE_EXTENSION,
+    Kind.UNION_TYPE_EXTENSION,
+    Kind.ENUM_TYPE_EXTENSION,
+    Kind.INPUT_OBJECT_TYPE_EXTENSION,
+    Kind.SCALAR_TYPE_EXTENSION,
+];
 /**
  * Parse a single import line and extract imported types and schema filename
  *
@@ -666,36 +2099,71 @@ function parseImportLine(importLine) {
         if (matches && matches.length === 6 && matches[4]) {
             // Extract matches into named variables
             const [, wildcard, importsString, , from] = matches;
-            // Extract imported types
-            const imports = wildcard === '*' ? ['*'] : importsString.split(',').map((d) => d.trim());
+            // `* as Namespace` prefixes every type of the imported file
+            const namespaceMatch = wildcard === '*' ? null : importsString.trim().match(IMPORT_NAMESPACE_REGEX);
+            if (namespaceMatch) {
+                return { imports: ['*'], from, namespace: namespaceMatch[1] };
+            }
+            // `* except A, B` imports everything but the listed types
+            const exceptMatch = wildcard === '*' ? null : importsString.trim().match(IMPORT_EXCEPT_REGEX);
+            if (exceptMatch) {
+                return { imports: ['*'], from, exclude: exceptMatch[1].split(',').map((d) => d.trim()) };
+            }
+            // Extract imported types, `Type as Alias` renames a single one
+            const aliases = {};
+            const imports = wildcard === '*'
+                ? ['*']
+                : importsString.split(',').map((d) => {
+                    const aliasMatch = d.trim().match(IMPORT_ALIAS_REGEX);
+                    if (aliasMatch) {
+                        aliases[aliasMatch[1]] = aliasMatch[2];
+                        return aliasMatch[1];
+                    }
+                    return d.trim();
+                });
             // Return information about the import line
-            return { imports, from };
+            return Object.keys(aliases).length ? { imports, from, aliases } : { imports, from };
         }
     }
     else if (IMPORT_DEFAULT_REGEX.test(importLine)) {
         const [, , from] = importLine.match(IMPORT_DEFAULT_REGEX);
         return { imports: ['*'], from };
     }
-    throw new Error(`
+    throw new InvalidImportError(`
     Import statement is not valid: ${importLine}
     If you want to have comments starting with '# import', please use ''' instead!
     You can only have 'import' statements in the following pattern;
     # import [Type].[Field] from [File]
-  `);
+    # import [Type] as [Alias] from [File]
+    # import * as [Namespace] from [File]
+    # import * except [Type], [Type] from [File]
+  `, { importLine });
 }
 /**
  * Parse a schema and analyze all import lines
  *
  * @param sdl Schema to parse
+ * @param details File and import chain of the schema, reported on invalid import lines
  * @returns Array with collection of imports per import line (file)
  */
-function parseSDL(sdl) {
-    return sdl
-        .split('\n')
-        .map((l) => l.trim())
-        .filter((l) => l.startsWith('# import ') || l.startsWith('#import '))
-        .map((l) => l.replace('#', '').trim())
-        .map(parseImportLine);
+function parseSDL(sdl, details = {}) {
+    const errors = [];
+    const modules = [];
+    sdl.split('\n').forEach((rawLine, index) => {
+        const l = rawLine.trim();
+        if (!l.startsWith('# import ') && !l.startsWith('#import ')) {
+            return;
+        }
+        const importLine = l.replace('#', '').trim();
+        try {
+            modules.push(parseImportLine(importLine));
+        }
+        catch (error) {
+            errors.push(new InvalidImportError(error.message, Object.assign(Object.assign({}, details), { importLine, line: index + 1, column: rawLine.indexOf('#') + 1 })));
+        }
+    });
+    throwErrors(errors);
+    return modules;
 }
 /**
  * Main entry point. Recursively process all import statement in a schema
@@ -704,14 +2172,25 @@ function parseSDL(sdl) {
  * @returns Single bundled schema with all imported types
  */
 async function processImportSyntax(documentSource, options, allDefinitions) {
+    const { default: globby } = await import('globby');
+    const persisted = readPersistedImports(documentSource, options, globby);
+    if (persisted) {
+        // Later sources can still find these types, as if the imports were processed
+        allDefinitions.push(persisted);
+        return persisted;
+    }
     const typeDefinitions = [];
+    const context = createImportContext(documentSource, options);
     // Recursively process the imports, starting by importing all types from the initial schema
-    await collectDefinitions(['*'], documentSource, options, typeDefinitions, allDefinitions);
-    return process$1({
+    await collectDefinitions(['*'], documentSource, options, typeDefinitions, allDefinitions, context);
+    const definitions = process$1({
         typeDefinitions,
         options,
         allDefinitions,
+        context,
     });
+    persistImports(documentSource, options, context, definitions);
+    return definitions;
 }
 /**
  * Main entry point. Recursively process all import statement in a schema
@@ -720,16 +2199,46 @@ async function processImportSyntax(documentSource, options, allDefinitions) {
  * @returns Single bundled schema with all imported types
  */
 function processImportSyntaxSync(documentSource, options, allDefinitions) {
+    const globby = require('globby');
+    const persisted = readPersistedImports(documentSource, options, globby);
+    if (persisted) {
+        // Later sources can still find these types, as if the imports were processed
+        allDefinitions.push(persisted);
+        return persisted;
+    }
     const typeDefinitions = [];
+    const context = createImportContext(documentSource, options);
     // Recursively process the imports, starting by importing all types from the initial schema
-    collectDefinitionsSync(['*'], documentSource, options, typeDefinitions, allDefinitions);
-    return process$1({
+    collectDefinitionsSync(['*'], documentSource, options, typeDefinitions, allDefinitions, context);
+    const definitions = process$1({
         typeDefinitions,
         options,
         allDefinitions,
+        context,
     });
+    persistImports(documentSource, options, context, definitions);
+    return definitions;
+}
+function createImportContext(source, options) {
+    const importChain = [source.location];
+    const importChains = new Map([[source.location, importChain]]);
+    if (options.path) {
+        // Imported files are tracked by their resolved path
+        importChains.set(options.path.resolve(options.cwd, source.location), importChain);
+    }
+    return {
+        importChains,
+        excludedTypes: new Map(),
+        // Files imported by each file, in both cases resolved
+        importEdges: new Map(),
+        // Import paths that were globs, with the files they matched
+        globs: [],
+        // Import paths that used environment variables, with the values they resolved to
+        interpolations: [],
+        builtins: resolveBuiltins(options),
+    };
 }
-function process$1({ typeDefinitions, options, allDefinitions, }) {
+function process$1({ typeDefinitions, options, allDefinitions, context, }) {
     // Post processing of the final schema (missing types, unused types, etc.)
     // Query, Mutation and Subscription should be merged
     // And should always be in the first set, to make sure they
@@ -740,11 +2249,15 @@ function process$1({ typeDefinitions, options, allDefinitions, }) {
     const firstSet = firstTypes.concat(secondFirstTypes, otherFirstTypes);
     const processedTypeNames = [];
     const mergedFirstTypes = [];
+    // Fields are merged into copies, the loaded documents can be cached and used again
+    const mergedCopies = new Map();
     for (const type of firstSet) {
-        if ('name' in type) {
+        if ('name' in type && !isTypeExtension(type)) {
             if (!processedTypeNames.includes(type.name.value)) {
                 processedTypeNames.push(type.name.value);
-                mergedFirstTypes.push(type);
+                const copy = Object.assign({}, type);
+                mergedCopies.set(type, copy);
+                mergedFirstTypes.push(copy);
             }
             else {
                 const existingType = mergedFirstTypes.find((t) => t.name.value === type.name.value);
@@ -757,23 +2270,27 @@ function process$1({ typeDefinitions, options, allDefinitions, }) {
             }
         }
     }
-    return completeDefinitionPool(flatten(allDefinitions), firstSet, flatten(typeDefinitions));
+    const useMergedCopy = (type) => mergedCopies.get(type) || type;
+    // The types used by merged-in fields are collected from the merged copies
+    const definitions = completeDefinitionPool(flatten(allDefinitions), firstSet.map(useMergedCopy), flatten(typeDefinitions).map(useMergedCopy), context);
+    return options.foldTypeExtensions ? foldTypeExtensions(definitions, options.sort) : definitions;
 }
 /**
  * Parses a schema into a graphql DocumentNode.
  * If the schema is empty a DocumentNode with empty definitions will be created.
  *
  * @param sdl Schema to parse
+ * @param location File the schema was read from, kept on every node for `getDefinitionOrigin`
  * @returns A graphql DocumentNode with definitions of the parsed sdl.
  */
-function getDocumentFromSDL(sdl) {
+function getDocumentFromSDL(sdl, location) {
     if (isEmptySDL(sdl)) {
         return {
             kind: Kind.DOCUMENT,
             definitions: [],
         };
     }
-    return parse(sdl, { noLocation: true });
+    return parse(new Source(sdl, location));
 }
 /**
  * Check if a schema contains any type definitions at all.
@@ -796,6 +2313,7 @@ function isEmptySDL(sdl) {
  * @returns Full resolved path to a file
  */
 function resolveModuleFilePath(filePath, importFrom, options) {
+    importFrom = interpolateEnv(importFrom, options, { filePath });
     const { fs, path } = options;
     if (fs && path) {
         const fullPath = path.resolve(options.cwd, filePath);
@@ -826,23 +2344,47 @@ function resolveModuleFilePath(filePath, importFrom, options) {
  * @param Tracking of processed schemas (for circular dependencies)
  * @param Tracking of imported type definitions per schema
  * @param Tracking of all type definitions per schema
+ * @param context Tracking of the chain of imports that led to each file and of the excluded types
+ * @param importChain Imports that led to the current schema, searched for circular imports
  * @returns Both the collection of all type definitions, and the collection of imported type definitions
  */
-async function collectDefinitions(imports, source, options, typeDefinitions, allDefinitions) {
-    const rawModules = preapreRawModules({ allDefinitions, source, imports, options, typeDefinitions });
+async function collectDefinitions(imports, source, options, typeDefinitions, allDefinitions, context = createImportContext(source, options), importChain = [source.location]) {
+    const { importChains } = context;
+    const rawModules = await expandImportGlobs({
+        rawModules: preapreRawModules({ allDefinitions, source, imports, options, typeDefinitions, importChains }),
+        source,
+        options,
+        importChains,
+        globs: context.globs,
+        interpolations: context.interpolations,
+    });
+    const errors = [];
     // Process each file (recursively)
     await Promise.all(rawModules.map(async (module) => {
-        // If it was not yet processed (in case of circular dependencies)
-        const filepath = resolveModuleFilePath(source.location, module.from, options);
-        if (canProcess({
-            options,
-            module,
-            filepath,
-        })) {
-            const result = await loadFile(filepath, options);
-            await collectDefinitions(module.imports, result, options, typeDefinitions, allDefinitions);
+        try {
+            // If it was not yet processed (in case of circular dependencies)
+            const filepath = resolveImportedFilePath({ source, module, options, importChains });
+            // Cycles are looked for along the imports that led to this file
+            checkCircularImport({ source, filepath, options, importChain, importEdges: context.importEdges });
+            if (canProcess({
+                options,
+                module,
+                filepath,
+            })) {
+                const result = await loadFile(filepath, options);
+                cacheImportedSource(filepath, result, options);
+                // Imported files go through the same transforms as the sources they are imported into
+                const transformed = await runTransforms(ensureImportedSource({ result, module, filepath, source, importChains }), options, 'beforeImports');
+                const included = useImportExclusions(transformed, module, context);
+                const imported = useImportAliases(included, module);
+                await collectDefinitions(imported.imports, imported.source, options, typeDefinitions, allDefinitions, context, importChain.concat(filepath));
+            }
+        }
+        catch (error) {
+            errors.push(error);
         }
     }));
+    throwErrors(errors);
 }
 /**
  * Recursively process all schema files. Keeps track of both the filtered
@@ -855,26 +2397,265 @@ async function collectDefinitions(imports, source, options, typeDefinitions, all
  * @param Tracking of processed schemas (for circular dependencies)
  * @param Tracking of imported type definitions per schema
  * @param Tracking of all type definitions per schema
+ * @param context Tracking of the chain of imports that led to each file and of the excluded types
+ * @param importChain Imports that led to the current schema, searched for circular imports
  * @returns Both the collection of all type definitions, and the collection of imported type definitions
  */
-function collectDefinitionsSync(imports, source, options, typeDefinitions, allDefinitions) {
-    const rawModules = preapreRawModules({ allDefinitions, source, imports, options, typeDefinitions });
+function collectDefinitionsSync(imports, source, options, typeDefinitions, allDefinitions, context = createImportContext(source, options), importChain = [source.location]) {
+    const { importChains } = context;
+    const rawModules = expandImportGlobsSync({
+        rawModules: preapreRawModules({ allDefinitions, source, imports, options, typeDefinitions, importChains }),
+        source,
+        options,
+        importChains,
+        globs: context.globs,
+        interpolations: context.interpolations,
+    });
+    const errors = [];
     // Process each file (recursively)
     rawModules.forEach((module) => {
-        // If it was not yet processed (in case of circular dependencies)
-        const filepath = resolveModuleFilePath(source.location, module.from, options);
-        if (canProcess({
+        try {
+            // If it was not yet processed (in case of circular dependencies)
+            const filepath = resolveImportedFilePath({ source, module, options, importChains });
+            // Cycles are looked for along the imports that led to this file
+            checkCircularImport({ source, filepath, options, importChain, importEdges: context.importEdges });
+            if (canProcess({
+                options,
+                module,
+                filepath,
+            })) {
+                const result = loadFileSync(filepath, options);
+                cacheImportedSource(filepath, result, options);
+                // Imported files go through the same transforms as the sources they are imported into
+                const transformed = runTransformsSync(ensureImportedSource({ result, module, filepath, source, importChains }), options, 'beforeImports');
+                const included = useImportExclusions(transformed, module, context);
+                const imported = useImportAliases(included, module);
+                collectDefinitionsSync(imported.imports, imported.source, options, typeDefinitions, allDefinitions, context, importChain.concat(filepath));
+            }
+        }
+        catch (error) {
+            errors.push(error);
+        }
+    });
+    throwErrors(errors);
+}
+/**
+ * Replaces every import whose path is a glob by one import per matching file,
+ * the glob being relative to the importing file
+ *
+ * @param rawModules Imports of the current file
+ * @param source Current file
+ * @returns Imports with concrete paths
+ */
+async function expandImportGlobs({ rawModules, source, options, importChains, globs, interpolations, }) {
+    rawModules = interpolateImportPaths(rawModules, source, options, interpolations);
+    if (!rawModules.some(module => isGlob(module.from))) {
+        return rawModules;
+    }
+    const { default: globby } = await import('globby');
+    const expanded = await Promise.all(rawModules.map(async (module) => isGlob(module.from)
+        ? createGlobModules({
+            module,
+            source,
             options,
+            importChains,
+            globs,
+            filepaths: await globby(module.from, createImportGlobOptions(source, options)),
+        })
+        : [module]));
+    return flatten(expanded);
+}
+/**
+ * Synchronous version of `expandImportGlobs`
+ *
+ * @param rawModules Imports of the current file
+ * @param source Current file
+ * @returns Imports with concrete paths
+ */
+function expandImportGlobsSync({ rawModules, source, options, importChains, globs, interpolations, }) {
+    rawModules = interpolateImportPaths(rawModules, source, options, interpolations);
+    if (!rawModules.some(module => isGlob(module.from))) {
+        return rawModules;
+    }
+    const globby = require('globby');
+    return flatten(rawModules.map(module => isGlob(module.from)
+        ? createGlobModules({
             module,
-            filepath,
-        })) {
-            const result = loadFileSync(filepath, options);
-            collectDefinitionsSync(module.imports, result, options, typeDefinitions, allDefinitions);
+            source,
+            options,
+            importChains,
+            globs,
+            filepaths: globby.sync(module.from, createImportGlobOptions(source, options)),
+        })
+        : [module]));
+}
+//
+function interpolateImportPaths(rawModules, source, options, interpolations) {
+    return rawModules.map(module => {
+        const from = interpolateEnv(module.from, options, { filePath: source.location });
+        if (interpolations && from !== module.from) {
+            interpolations.push({ from: module.from, filePath: source.location, value: from });
         }
+        return from === module.from ? module : Object.assign(Object.assign({}, module), { from });
     });
 }
-//
-function preapreRawModules({ allDefinitions, imports, options, typeDefinitions, source, }) {
+function createImportGlobOptions(source, options) {
+    return {
+        cwd: options.path.dirname(options.path.resolve(options.cwd, source.location)),
+    };
+}
+function createGlobModules({ module, source, options, importChains, globs, filepaths, }) {
+    const { cwd } = createImportGlobOptions(source, options);
+    if (globs) {
+        globs.push({ pattern: module.from, cwd, matches: filepaths.slice().sort() });
+    }
+    const sourcePath = options.path.resolve(options.cwd, source.location);
+    // A file importing its own folder doesn't import itself
+    const candidates = filepaths.filter(filepath => options.path.resolve(cwd, filepath) !== sourcePath);
+    const matches = candidates
+        .filter(filepath => !options.findIgnoreRule || !options.findIgnoreRule(options.path.resolve(cwd, filepath)))
+        .sort();
+    if (matches.length === 0) {
+        throw new InvalidImportError(candidates.length > 0 ? `Every file matching ${module.from} is ignored` : `No files match ${module.from}`, {
+            filePath: source.location,
+            importChain: importChains ? importChains.get(source.location) : undefined,
+        });
+    }
+    return matches.map(filepath => Object.assign(Object.assign({}, module), { from: filepath }));
+}
+/**
+ * Looks for the file in the imports that led to the current file. A file processed before
+ * through another path is not imported again, so the cycle can also close through imports
+ * seen earlier, which are looked up in `importEdges`.
+ */
+function checkCircularImport({ source, filepath, options, importChain, importEdges, }) {
+    var _a;
+    const mode = (_a = options.onCircularImport) !== null && _a !== void 0 ? _a : 'allow';
+    if (mode === 'allow') {
+        return;
+    }
+    const normalize = (location) => (options.path ? options.path.resolve(options.cwd, location) : location);
+    const from = normalize(source.location);
+    const to = normalize(filepath);
+    if (!importEdges.has(from)) {
+        importEdges.set(from, new Set());
+    }
+    importEdges.get(from).add(to);
+    const index = importChain.map(normalize).indexOf(to);
+    const path = index === -1 ? findImportPath(importEdges, to, from) : undefined;
+    if (index === -1 && !path) {
+        return;
+    }
+    const cycle = path ? [source.location, ...path] : importChain.slice(index).concat(filepath);
+    const message = `Circular import: ${cycle.join(' -> ')}`;
+    if (mode === 'error') {
+        throw new CircularImportError(message, {
+            filePath: source.location,
+            importChain,
+            cycle,
+        });
+    }
+    debugLog(message);
+}
+function findImportPath(importEdges, from, to, visited = new Set()) {
+    if (from === to) {
+        return [to];
+    }
+    visited.add(from);
+    for (const next of importEdges.get(from) || []) {
+        const path = !visited.has(next) && findImportPath(importEdges, next, to, visited);
+        if (path) {
+            return [from, ...path];
+        }
+    }
+    return undefined;
+}
+function resolveImportedFilePath({ source, module, options, importChains, }) {
+    let filepath;
+    try {
+        filepath = resolveModuleFilePath(source.location, module.from, options);
+    }
+    catch (error) {
+        throw new InvalidImportError(`Couldn't resolve ${module.from}: ${error.message.split('\n')[0]}`, {
+            filePath: source.location,
+            importChain: importChains.get(source.location),
+        });
+    }
+    const ignoreRule = options.findIgnoreRule && options.findIgnoreRule(filepath);
+    if (ignoreRule) {
+        throw new InvalidImportError(`Can't import ${module.from}: ${filepath} is ignored by ${ignoreRule.pattern} in ${ignoreRule.file}`, {
+            filePath: source.location,
+            importChain: importChains.get(source.location),
+        });
+    }
+    return filepath;
+}
+/**
+ * Imported files are cached like the sources of the pointers, so watchers only read again the files that changed
+ */
+function cacheImportedSource(filepath, source, options) {
+    if (source && options.cache && !(filepath in options.cache)) {
+        options.cache[filepath] = source;
+    }
+}
+function ensureImportedSource({ result, module, filepath, source, importChains, }) {
+    var _a;
+    const importChain = (_a = importChains.get(source.location)) !== null && _a !== void 0 ? _a : [source.location];
+    if (!importChains.has(filepath)) {
+        importChains.set(filepath, importChain.concat(filepath));
+    }
+    if (!result) {
+        throw new InvalidImportError(`Couldn't load ${module.from} (resolved to ${filepath})`, {
+            filePath: source.location,
+            importChain,
+        });
+    }
+    return result;
+}
+function useImportExclusions(source, module, context) {
+    if (!module.exclude || module.exclude.length === 0) {
+        return source;
+    }
+    module.exclude.forEach(typeName => context.excludedTypes.set(typeName, source.location));
+    // Excluded definitions never reach the pool, so the dependency closure can't pull them back in
+    const definitions = source.document.definitions.filter(d => !('name' in d && d.name && module.exclude.includes(d.name.value)));
+    return Object.assign(Object.assign({}, source), { document: Object.assign(Object.assign({}, source.document), { definitions }) });
+}
+function useImportAliases(source, module) {
+    const renames = {};
+    if (module.namespace) {
+        for (const definition of source.document.definitions) {
+            if (RENAMEABLE_KINDS.includes(definition.kind) && !ROOT_TYPE_NAMES.includes(definition.name.value)) {
+                renames[definition.name.value] = `${module.namespace}${definition.name.value}`;
+            }
+        }
+    }
+    Object.assign(renames, module.aliases);
+    if (Object.keys(renames).length === 0) {
+        return { source, imports: module.imports };
+    }
+    return {
+        source: Object.assign(Object.assign({}, source), { document: renameTypes(source.document, renames) }),
+        imports: module.imports.map(i => {
+            const [typeName, ...members] = i.split('.');
+            return [renames[typeName] || typeName, ...members].join('.');
+        }),
+    };
+}
+function renameTypes(document, renames) {
+    const renameNode = (node) => {
+        if (renames[node.name.value]) {
+            return Object.assign(Object.assign({}, node), { name: Object.assign(Object.assign({}, node.name), { value: renames[node.name.value] }) });
+        }
+        return undefined;
+    };
+    const visitor = { [Kind.NAMED_TYPE]: renameNode };
+    RENAMEABLE_KINDS.forEach(kind => {
+        visitor[kind] = renameNode;
+    });
+    return visit(document, visitor);
+}
+function preapreRawModules({ allDefinitions, imports, options, typeDefinitions, source, importChains, }) {
     // Add all definitions to running total
     allDefinitions.push(source.document.definitions);
     // Filter TypeDefinitionNodes by type and defined imports
@@ -882,7 +2663,10 @@ function preapreRawModules({ allDefinitions, imports, options, typeDefinitions,
     // Add typedefinitions to running total
     typeDefinitions.push(currentTypeDefinitions);
     // Read imports from current file
-    return parseSDL(source.rawSDL);
+    return parseSDL(source.rawSDL, {
+        filePath: source.location,
+        importChain: importChains.get(source.location),
+    });
 }
 function canProcess({ options, module, filepath, }) {
     const processedFile = options.processedFiles.get(filepath);
@@ -894,40 +2678,192 @@ function canProcess({ options, module, filepath, }) {
     return false;
 }
 /**
- * Filter the types loaded from a schema, first by relevant types,
- * then by the types specified in the import statement.
+ * Filter the types loaded from a schema, first by relevant types,
+ * then by the types specified in the import statement.
+ * `Type.member` keeps only the listed fields, enum values or union members of a type,
+ * `Type.*` keeps all of them. The loaded definitions are copied, never edited.
+ *
+ * @param imports Types specified in the import statement
+ * @param typeDefinitions All definitions from a schema
+ * @returns Filtered collection of type definitions
+ */
+function filterImportedDefinitions(imports, typeDefinitions, allDefinitions, sort) {
+    // This should do something smart with fields
+    const filteredDefinitions = typeDefinitions;
+    if (imports.includes('*')) {
+        if (imports.length === 1 && imports[0] === '*' && allDefinitions.length > 1) {
+            const previousTypeDefinitions = keyBy(flatten(allDefinitions.slice(0, allDefinitions.length - 1)).filter((def) => 'name' in def), (def) => 'name' in def && def.name.value);
+            return typeDefinitions.filter((typeDef) => typeDef.kind === 'ObjectTypeDefinition' && previousTypeDefinitions[typeDef.name.value]);
+        }
+        return filteredDefinitions;
+    }
+    else {
+        const importedTypes = imports.map((i) => i.split('.')[0]);
+        const result = filteredDefinitions.filter((d) => 'name' in d && importedTypes.includes(d.name.value));
+        const memberImports = imports.filter((i) => i.split('.').length > 1);
+        const groupedMemberImports = groupBy(memberImports, (x) => x.split('.')[0]);
+        return result.map((definition) => {
+            const typeName = definition.name.value;
+            const members = (groupedMemberImports[typeName] || []).map((x) => x.split('.')[1]);
+            // A bare `Type` or `Type.*` imports every member
+            if (members.length === 0 || members.includes('*') || imports.includes(typeName)) {
+                return definition;
+            }
+            return selectMembers(definition, members, sort);
+        });
+    }
+}
+function selectMembers(definition, members, sort) {
+    const key = MEMBER_KEYS.find((k) => k in definition);
+    if (!key) {
+        return definition;
+    }
+    const selectedMembers = definition[key].filter((m) => members.includes(m.name.value));
+    if (sort) {
+        selectedMembers.sort(compareNodes);
+    }
+    return Object.assign(Object.assign({}, definition), { [key]: selectedMembers });
+}
+
+/**
+ * Builds the graph of `# import` statements reachable from the given pointers.
+ * Each node is a resolved file, each edge describes which types a file imports from another one.
+ *
+ * @param pointerOrPointers Pointers to the root files
+ * @returns Nodes and edges of the import graph
+ */
+async function buildImportGraph(pointerOrPointers, options) {
+    await prepareOptions(options);
+    const sources = await collectSources({
+        pointerOptionMap: interpolatePointers(normalizePointers(pointerOrPointers), options),
+        options,
+    });
+    const graph = createImportGraph(options);
+    const visit = async (source, rawModules) => {
+        const modules = graph.resolve(source, await expandImportGlobs({ rawModules, source, options }));
+        await Promise.all(modules.map(async ({ module, filepath }) => {
+            if (graph.addEdge(source, module, filepath)) {
+                const result = await loadFile(filepath, options);
+                if (result) {
+                    await visit(result, graph.addSource(result));
+                }
+            }
+        }));
+    };
+    // Register every root file first, so files that are both a root and an import are visited once
+    const roots = sources.map(source => ({ source, modules: graph.addSource(source) }));
+    await Promise.all(roots.map(({ source, modules }) => visit(source, modules)));
+    return graph.toGraph();
+}
+/**
+ * Synchronous version of `buildImportGraph`
  *
- * @param imports Types specified in the import statement
- * @param typeDefinitions All definitions from a schema
- * @returns Filtered collection of type definitions
+ * @param pointerOrPointers Pointers to the root files
+ * @returns Nodes and edges of the import graph
  */
-function filterImportedDefinitions(imports, typeDefinitions, allDefinitions, sort) {
-    // This should do something smart with fields
-    const filteredDefinitions = typeDefinitions;
-    if (imports.includes('*')) {
-        if (imports.length === 1 && imports[0] === '*' && allDefinitions.length > 1) {
-            const previousTypeDefinitions = keyBy(flatten(allDefinitions.slice(0, allDefinitions.length - 1)).filter((def) => 'name' in def), (def) => 'name' in def && def.name.value);
-            return typeDefinitions.filter((typeDef) => typeDef.kind === 'ObjectTypeDefinition' && previousTypeDefinitions[typeDef.name.value]);
-        }
-        return filteredDefinitions;
-    }
-    else {
-        const importedTypes = imports.map((i) => i.split('.')[0]);
-        const result = filteredDefinitions.filter((d) => 'name' in d && importedTypes.includes(d.name.value));
-        const fieldImports = imports.filter((i) => i.split('.').length > 1);
-        const groupedFieldImports = groupBy(fieldImports, (x) => x.split('.')[0]);
-        for (const rootType in groupedFieldImports) {
-            const fields = groupedFieldImports[rootType].map((x) => x.split('.')[1]);
-            const objectTypeDefinition = filteredDefinitions.find((def) => 'name' in def && def.name.value === rootType);
-            if (objectTypeDefinition && 'fields' in objectTypeDefinition && !fields.includes('*')) {
-                objectTypeDefinition.fields = objectTypeDefinition.fields.filter((f) => fields.includes(f.name.value) || fields.includes('*'));
-                if (sort) {
-                    objectTypeDefinition.fields.sort(compareNodes);
+function buildImportGraphSync(pointerOrPointers, options) {
+    prepareOptionsSync(options);
+    const sources = collectSourcesSync({
+        pointerOptionMap: interpolatePointers(normalizePointers(pointerOrPointers), options),
+        options,
+    });
+    const graph = createImportGraph(options);
+    const visit = (source, rawModules) => {
+        const modules = graph.resolve(source, expandImportGlobsSync({ rawModules, source, options }));
+        modules.forEach(({ module, filepath }) => {
+            if (graph.addEdge(source, module, filepath)) {
+                const result = loadFileSync(filepath, options);
+                if (result) {
+                    visit(result, graph.addSource(result));
                 }
             }
-        }
-        return result;
+        });
+    };
+    const roots = sources.map(source => ({ source, modules: graph.addSource(source) }));
+    roots.forEach(({ source, modules }) => visit(source, modules));
+    return graph.toGraph();
+}
+/**
+ * Serializes an import graph to JSON
+ *
+ * @param graph Result of `buildImportGraph`
+ * @returns JSON string
+ */
+function printImportGraphAsJSON(graph) {
+    return JSON.stringify(graph, null, 2);
+}
+/**
+ * Serializes an import graph to the Graphviz DOT language
+ *
+ * @param graph Result of `buildImportGraph`
+ * @returns DOT string
+ */
+function printImportGraphAsDot(graph) {
+    const quote = (value) => JSON.stringify(value);
+    const lines = ['digraph imports {'];
+    for (const node of graph.nodes) {
+        lines.push(`  ${quote(node.id)} [label=${quote(node.label)}];`);
+    }
+    for (const edge of graph.edges) {
+        lines.push(`  ${quote(edge.from)} -> ${quote(edge.to)} [label=${quote(edge.imports.join(', '))}];`);
     }
+    lines.push('}');
+    return lines.join('\n');
+}
+//
+function createImportGraph(options) {
+    const nodes = new Map();
+    const edges = [];
+    const getId = (location) => options.path.resolve(options.cwd, location);
+    const getNode = (id) => {
+        if (!nodes.has(id)) {
+            nodes.set(id, {
+                id,
+                label: options.path.relative(options.cwd, id) || id,
+                types: [],
+                dependencies: [],
+                dependents: [],
+            });
+        }
+        return nodes.get(id);
+    };
+    return {
+        addSource(source) {
+            const node = getNode(getId(source.location));
+            if (source.document) {
+                node.types = source.document.definitions.filter(d => 'name' in d).map(d => d.name.value);
+            }
+            if (!source.rawSDL) {
+                return [];
+            }
+            return parseSDL(source.rawSDL, { filePath: source.location });
+        },
+        resolve(source, modules) {
+            return modules.map(module => ({
+                module,
+                filepath: resolveModuleFilePath(source.location, module.from, options),
+            }));
+        },
+        addEdge(source, module, filepath) {
+            const from = getNode(getId(source.location));
+            const isNew = !nodes.has(filepath);
+            const to = getNode(filepath);
+            edges.push({ from: from.id, to: to.id, imports: module.imports });
+            if (!from.dependencies.includes(to.id)) {
+                from.dependencies.push(to.id);
+            }
+            if (!to.dependents.includes(from.id)) {
+                to.dependents.push(from.id);
+            }
+            return isNew;
+        },
+        toGraph() {
+            return {
+                nodes: Array.from(nodes.values()),
+                edges,
+            };
+        },
+    };
 }
 
 const filterKind = (content, filterKinds) => {
@@ -955,45 +2891,65 @@ const filterKind = (content, filterKinds) => {
     return content;
 };
 
-async function parseSource({ partialSource, options, globOptions, pointerOptionMap, addValidSource, cache, }) {
+async function parseSource({ partialSource, options, globOptionMap, pointerOptionMap, addValidSource, cache, abortScope = createAbortScope({}), }) {
     if (partialSource) {
         const input = prepareInput({
             source: partialSource,
             options,
-            globOptions,
+            globOptionMap,
             pointerOptionMap,
         });
         parseSchema(input);
         parseRawSDL(input);
+        abortScope.throwIfAborted();
         if (input.source.document) {
+            input.source = await runHooks(input.options, 'onSourceParsed', input.source, { options: input.options });
             useKindsFilter(input);
+            input.source = await runHooks(input.options, 'onSourceFiltered', input.source, { options: input.options });
             useComments(input);
-            await useGraphQLImport(input, () => processImportSyntax(input.source, input.options, cache));
+            await useTransforms(input, 'beforeImports');
+            await useGraphQLImport(input, () => processImportSyntax(input.source, input.options, cache).then(definitions => runHooks(input.options, 'onImportResolved', definitions, {
+                source: input.source,
+                options: input.options,
+            })));
+            await useTransforms(input, 'afterImports');
+            abortScope.throwIfAborted();
+            await useTransforms(input, 'beforeAccept');
             collectValidSources(input, addValidSource);
         }
     }
 }
-function parseSourceSync({ partialSource, options, globOptions, pointerOptionMap, addValidSource, cache, }) {
+function parseSourceSync({ partialSource, options, globOptionMap, pointerOptionMap, addValidSource, cache, abortScope = createAbortScope({}), }) {
     if (partialSource) {
         const input = prepareInput({
             source: partialSource,
             options,
-            globOptions,
+            globOptionMap,
             pointerOptionMap,
         });
         parseSchema(input);
         parseRawSDL(input);
+        abortScope.throwIfAborted();
         if (input.source.document) {
+            input.source = runHooksSync(input.options, 'onSourceParsed', input.source, { options: input.options });
             useKindsFilter(input);
+            input.source = runHooksSync(input.options, 'onSourceFiltered', input.source, { options: input.options });
             useComments(input);
-            useGraphQLImport(input, () => processImportSyntaxSync(input.source, input.options, cache));
+            useTransformsSync(input, 'beforeImports');
+            useGraphQLImport(input, () => runHooksSync(input.options, 'onImportResolved', processImportSyntaxSync(input.source, input.options, cache), {
+                source: input.source,
+                options: input.options,
+            }));
+            useTransformsSync(input, 'afterImports');
+            abortScope.throwIfAborted();
+            useTransformsSync(input, 'beforeAccept');
             collectValidSources(input, addValidSource);
         }
     }
 }
 //
-function prepareInput({ source, options, globOptions, pointerOptionMap, }) {
-    const specificOptions = Object.assign(Object.assign({}, options), (source.location in pointerOptionMap ? globOptions : pointerOptionMap[source.location]));
+function prepareInput({ source, options, globOptionMap, pointerOptionMap, }) {
+    const specificOptions = Object.assign(Object.assign({}, options), (source.location in pointerOptionMap ? pointerOptionMap[source.location] : globOptionMap[source.location]));
     return { source: Object.assign({}, source), options: specificOptions };
 }
 function parseSchema(input) {
@@ -1009,7 +2965,7 @@ function parseRawSDL(input) {
                 kind: Kind.DOCUMENT,
                 definitions: [],
             }
-            : parse(new Source(input.source.rawSDL, input.source.location), input.options);
+            : parseWithPersistentCache(input.source.rawSDL, input.source.location, input.options, input.source.locationOffset);
     }
 }
 function useKindsFilter(input) {
@@ -1042,6 +2998,12 @@ function useGraphQLImport(input, definitionsGetter) {
 function isPromise(val) {
     return val instanceof Promise;
 }
+async function useTransforms(input, stage) {
+    input.source = await runTransforms(input.source, input.options, stage);
+}
+function useTransformsSync(input, stage) {
+    input.source = runTransformsSync(input.source, input.options, stage);
+}
 function collectValidSources(input, addValidSource) {
     if (input.source.document.definitions && input.source.document.definitions.length > 0) {
         addValidSource(input.source);
@@ -1050,62 +3012,101 @@ function collectValidSources(input, addValidSource) {
 
 const CONCURRENCY_LIMIT$1 = 100;
 async function loadTypedefs(pointerOrPointers, options) {
-    const pointerOptionMap = normalizePointers(pointerOrPointers);
-    const globOptions = {};
+    const pointerOptionMap = await runHooks(options, 'onPointerNormalized', interpolatePointers(normalizePointers(pointerOrPointers), options), { options });
+    // Options of the files matched by glob pointers
+    const globOptionMap = {};
     await prepareOptions(options);
-    const sources = await collectSources({
-        pointerOptionMap,
-        options,
-    });
-    const validSources = [];
-    const definitionsCacheForImport = [];
-    // If we have few k of files it may be an issue
-    const limit = useLimit(CONCURRENCY_LIMIT$1);
-    await Promise.all(sources.map(partialSource => limit(() => parseSource({
-        partialSource,
-        options,
-        globOptions,
-        pointerOptionMap,
-        addValidSource(source) {
-            validSources.push(source);
-        },
-        cache: definitionsCacheForImport,
-    }))));
-    return prepareResult({ options, pointerOptionMap, validSources });
-}
-function loadTypedefsSync(pointerOrPointers, options) {
-    const pointerOptionMap = normalizePointers(pointerOrPointers);
-    const globOptions = {};
-    prepareOptionsSync(options);
-    const sources = collectSourcesSync({
-        pointerOptionMap,
-        options,
-    });
-    const validSources = [];
-    const definitionsCacheForImport = [];
-    sources.forEach(partialSource => {
-        parseSourceSync({
+    const abortScope = createAbortScope(options);
+    // Loaders get a signal that is aborted on timeouts too, and a file system that respects the file handle limit
+    const scopedOptions = Object.assign(Object.assign({}, options), { signal: abortScope.signal, fs: limitFileHandles(options), findIgnoreRule: createIgnoreMatcher(options) });
+    try {
+        const sources = await collectSources({
+            pointerOptionMap,
+            options: scopedOptions,
+            abortScope,
+            globOptionMap,
+        });
+        const validSources = [];
+        const definitionsCacheForImport = [];
+        const errors = [];
+        // If we have few k of files it may be an issue
+        const limit = useLimit(getConcurrency(options, 'parse', CONCURRENCY_LIMIT$1));
+        await Promise.all(sources.map(partialSource => limit(() => abortScope.track(partialSource.location, () => parseSource({
             partialSource,
-            options,
-            globOptions,
+            options: scopedOptions,
+            globOptionMap,
             pointerOptionMap,
             addValidSource(source) {
                 validSources.push(source);
             },
             cache: definitionsCacheForImport,
+            abortScope,
+        }), 0)).catch(error => {
+            errors.push(error);
+        })));
+        // Every pending source failed with the same error
+        abortScope.throwIfAborted();
+        throwErrors(errors);
+        return await runHooks(scopedOptions, 'onComplete', prepareResult({ options: scopedOptions, pointerOptionMap, validSources }), { options: scopedOptions });
+    }
+    finally {
+        abortScope.dispose();
+    }
+}
+function loadTypedefsSync(pointerOrPointers, options) {
+    const pointerOptionMap = runHooksSync(options, 'onPointerNormalized', interpolatePointers(normalizePointers(pointerOrPointers), options), { options });
+    // Options of the files matched by glob pointers
+    const globOptionMap = {};
+    prepareOptionsSync(options);
+    const abortScope = createAbortScope(options);
+    // Loaders get a signal that is aborted on timeouts too
+    const scopedOptions = Object.assign(Object.assign({}, options), { signal: abortScope.signal, findIgnoreRule: createIgnoreMatcher(options) });
+    try {
+        const sources = collectSourcesSync({
+            pointerOptionMap,
+            options: scopedOptions,
+            abortScope,
+            globOptionMap,
         });
-    });
-    return prepareResult({ options, pointerOptionMap, validSources });
+        const validSources = [];
+        const definitionsCacheForImport = [];
+        const errors = [];
+        sources.forEach(partialSource => {
+            try {
+                abortScope.track(partialSource.location, () => parseSourceSync({
+                    partialSource,
+                    options: scopedOptions,
+                    globOptionMap,
+                    pointerOptionMap,
+                    addValidSource(source) {
+                        validSources.push(source);
+                    },
+                    cache: definitionsCacheForImport,
+                    abortScope,
+                }), 0);
+            }
+            catch (error) {
+                errors.push(error);
+            }
+        });
+        // Every pending source failed with the same error
+        abortScope.throwIfAborted();
+        throwErrors(errors);
+        return runHooksSync(scopedOptions, 'onComplete', prepareResult({ options: scopedOptions, pointerOptionMap, validSources }), { options: scopedOptions });
+    }
+    finally {
+        abortScope.dispose();
+    }
 }
 //
 function prepareResult({ options, pointerOptionMap, validSources, }) {
     const pointerList = Object.keys(pointerOptionMap);
     if (pointerList.length > 0 && validSources.length === 0) {
-        throw new Error(`
+        throw new NoSourcesError(`
       Unable to find any GraphQL type definitions for the following pointers: 
         ${pointerList.map(p => `
           - ${p}
-          `)}`);
+          `)}`, { pointers: pointerList });
     }
     return options.sort
         ? validSources.sort((left, right) => compareStrings(left.location, right.location))
@@ -1123,6 +3124,8 @@ function loadDocumentsSync(documentDef, options) {
     return loadTypedefsSync(documentDef, Object.assign({ noRequire: true, filterKinds: NON_OPERATION_KINDS }, options));
 }
 
+// Sources each loaded schema was merged from, merged types keep the location of a single one of them
+const schemaSources = new WeakMap();
 async function loadSchema(schemaPointers, options) {
     const sources = await loadTypedefs(schemaPointers, Object.assign({ filterKinds: OPERATION_KINDS }, options));
     const schemas = [];
@@ -1137,7 +3140,9 @@ async function loadSchema(schemaPointers, options) {
     });
     const mergeSchemasOptions = Object.assign({ schemas,
         typeDefs }, options);
-    return mergeSchemasAsync(mergeSchemasOptions);
+    const schema = await mergeSchemasAsync(mergeSchemasOptions);
+    schemaSources.set(schema, sources);
+    return schema;
 }
 function loadSchemaSync(schemaPointers, options) {
     const sources = loadTypedefsSync(schemaPointers, Object.assign({ filterKinds: OPERATION_KINDS }, options));
@@ -1153,7 +3158,536 @@ function loadSchemaSync(schemaPointers, options) {
     });
     const mergeSchemasOptions = Object.assign({ schemas,
         typeDefs }, options);
-    return mergeSchemas(mergeSchemasOptions);
+    const schema = mergeSchemas(mergeSchemasOptions);
+    schemaSources.set(schema, sources);
+    return schema;
+}
+
+const WATCH_DEBOUNCE = 100;
+/**
+ * Loads the type definitions and keeps watching every file they were collected from,
+ * including the files pulled in with `# import` and new files matching a glob pointer.
+ * The listener receives a fresh result after each change. Only the changed files are read again.
+ * Failures, including an error thrown by the listener itself, are passed to the listener.
+ */
+function watchTypedefs(pointerOrPointers, options, listener) {
+    return createWatcher({
+        pointerOrPointers,
+        options,
+        listener,
+        load: () => loadTypedefs(pointerOrPointers, options),
+    });
+}
+/**
+ * Same as `watchTypedefs` but re-emits a merged schema.
+ */
+function watchSchema(schemaPointers, options, listener) {
+    return createWatcher({
+        pointerOrPointers: schemaPointers,
+        options,
+        listener,
+        load: () => loadSchema(schemaPointers, options),
+    });
+}
+//
+function createWatcher({ pointerOrPointers, options, listener, load, }) {
+    var _a;
+    const debounce = (_a = options.debounce) !== null && _a !== void 0 ? _a : WATCH_DEBOUNCE;
+    const dirWatchers = new Map();
+    const changedFiles = new Set();
+    let trackedFiles = new Set();
+    let timeout = null;
+    let running = false;
+    let pending = false;
+    let closed = false;
+    async function run() {
+        if (running) {
+            pending = true;
+            return;
+        }
+        running = true;
+        let result;
+        let error = null;
+        try {
+            await prepareOptions(options);
+            // Only the changed files are dropped from the cache, every other source is used again
+            invalidateFiles(options, changedFiles);
+            changedFiles.clear();
+            // processedFiles only records which import lines were followed during a single load,
+            // keeping the previous entries would make the reload skip every unchanged import
+            options.processedFiles = new Map();
+            try {
+                result = await load();
+            }
+            catch (e) {
+                error = e;
+            }
+            if (!closed) {
+                trackedFiles = collectTrackedFiles(options);
+                try {
+                    syncDirWatchers(getWatchedDirs(pointerOrPointers, options, trackedFiles));
+                }
+                catch (e) {
+                    // Pointers are interpolated again to find the globs, a missing variable fails the load first
+                    error = error || e;
+                }
+            }
+        }
+        catch (e) {
+            error = error || e;
+            result = undefined;
+        }
+        if (!closed) {
+            notify(error, result);
+        }
+        running = false;
+        if (pending && !closed) {
+            pending = false;
+            run();
+        }
+    }
+    function notify(error, result) {
+        try {
+            listener(error, result);
+        }
+        catch (listenerError) {
+            if (error) {
+                // The listener failed on an error already, there is nothing left to report it to
+                debugLog(`The watch listener failed - ${listenerError.message}`);
+            }
+            else {
+                notify(listenerError);
+            }
+        }
+    }
+    function schedule(filepath) {
+        if (closed) {
+            return;
+        }
+        changedFiles.add(filepath);
+        if (timeout) {
+            clearTimeout(timeout);
+        }
+        timeout = setTimeout(() => {
+            timeout = null;
+            run();
+        }, debounce);
+    }
+    function syncDirWatchers(dirs) {
+        const { fs, path } = options;
+        dirWatchers.forEach((watcher, dir) => {
+            if (!dirs.has(dir)) {
+                watcher.close();
+                dirWatchers.delete(dir);
+            }
+        });
+        dirs.forEach(dir => {
+            if (dirWatchers.has(dir) || !fs.existsSync(dir)) {
+                return;
+            }
+            try {
+                const watcher = fs.watch(dir, (_event, filename) => {
+                    if (!filename) {
+                        // Some platforms don't report the file name, so anything in this directory might have changed
+                        trackedFiles.forEach(filepath => {
+                            if (path.dirname(filepath) === dir) {
+                                schedule(filepath);
+                            }
+                        });
+                        return schedule(dir);
+                    }
+                    schedule(path.join(dir, filename.toString()));
+                });
+                watcher.on('error', () => {
+                    watcher.close();
+                    dirWatchers.delete(dir);
+                });
+                dirWatchers.set(dir, watcher);
+            }
+            catch (error) {
+                debugLog(`Failed to watch ${dir} - ${error.message}`);
+            }
+        });
+    }
+    run();
+    return {
+        close() {
+            closed = true;
+            if (timeout) {
+                clearTimeout(timeout);
+            }
+            dirWatchers.forEach(watcher => watcher.close());
+            dirWatchers.clear();
+        },
+    };
+}
+function invalidateFiles(options, filepaths) {
+    const { path } = options;
+    if (!filepaths.size) {
+        return;
+    }
+    for (const pointer in options.cache) {
+        const source = options.cache[pointer];
+        const location = source && source.location ? path.resolve(options.cwd, source.location) : null;
+        if (filepaths.has(path.resolve(options.cwd, pointer)) || (location && filepaths.has(location))) {
+            delete options.cache[pointer];
+        }
+    }
+}
+function collectTrackedFiles(options) {
+    const { fs, path } = options;
+    const files = new Set();
+    for (const pointer in options.cache) {
+        const source = options.cache[pointer];
+        if (source && source.location) {
+            files.add(path.resolve(options.cwd, source.location));
+        }
+    }
+    for (const filepath of options.processedFiles.keys()) {
+        files.add(path.resolve(options.cwd, filepath));
+    }
+    return new Set(Array.from(files).filter(filepath => fs.existsSync(filepath)));
+}
+function getWatchedDirs(pointerOrPointers, options, trackedFiles) {
+    const { path } = options;
+    const dirs = new Set();
+    trackedFiles.forEach(filepath => dirs.add(path.dirname(filepath)));
+    for (const pointer in interpolatePointers(normalizePointers(pointerOrPointers), options)) {
+        if (!isDocumentString(pointer) && isGlob(pointer)) {
+            // New files matching a glob can only appear under its static part
+            dirs.add(path.resolve(options.cwd, getGlobBase(pointer)));
+        }
+    }
+    return dirs;
+}
+function getGlobBase(pattern) {
+    const base = [];
+    for (const segment of pattern.replace(/\\/g, '/').split('/')) {
+        if (isGlob(segment)) {
+            break;
+        }
+        base.push(segment);
+    }
+    return base.join('/') || '.';
+}
+
+/**
+ * Finds the file, line and column a type, field, enum value or directive was declared in.
+ * Works with loaded sources, a single document or a merged schema. The types of a schema returned by `loadSchema`
+ * are looked up in the sources it was merged from, so a type is found where it is defined rather than extended.
+ *
+ * @param result Result of `loadTypedefs`, `loadDocuments`, `loadSchema` or a DocumentNode
+ * @param coordinate `Type`, `Type.member` or `@directive`
+ * @returns Origin of the declaration or null when it has no location
+ */
+function getDefinitionOrigin(result, coordinate) {
+    const [typeName, memberName] = coordinate.split('.');
+    const nodes = isSchema(result)
+        ? [...getDocumentNodes(schemaSources.get(result) || [], typeName, memberName), ...getSchemaNodes(result, typeName, memberName)]
+        : getDocumentNodes(result, typeName, memberName);
+    for (const node of nodes) {
+        const origin = getNodeOrigin(node);
+        if (origin) {
+            return origin;
+        }
+    }
+    return null;
+}
+//
+function getSchemaNodes(schema, typeName, memberName) {
+    var _a;
+    if (typeName.startsWith('@')) {
+        const directive = schema.getDirective(typeName.slice(1));
+        return directive ? [directive.astNode] : [];
+    }
+    const type = schema.getType(typeName);
+    if (!type) {
+        return [];
+    }
+    if (!memberName) {
+        return [type.astNode, ...((_a = type.extensionASTNodes) !== null && _a !== void 0 ? _a : [])];
+    }
+    if ('getFields' in type) {
+        const field = type.getFields()[memberName];
+        return field ? [field.astNode] : [];
+    }
+    if ('getValue' in type) {
+        const value = type.getValue(memberName);
+        return value ? [value.astNode] : [];
+    }
+    return [];
+}
+function getDocumentNodes(result, typeName, memberName) {
+    const documents = Array.isArray(result) ? result.map(source => source.document).filter(Boolean) : [result];
+    const name = typeName.startsWith('@') ? typeName.slice(1) : typeName;
+    const nodes = [];
+    for (const document of documents) {
+        for (const definition of document.definitions) {
+            if (!('name' in definition) || !definition.name || definition.name.value !== name) {
+                continue;
+            }
+            if (!memberName) {
+                nodes.push(definition);
+                continue;
+            }
+            const members = [].concat(definition.fields || [], definition.values || []);
+            nodes.push(...members.filter(member => member.name.value === memberName));
+        }
+    }
+    // A type is declared by its definition, wherever its extensions are
+    return [...nodes.filter(node => !isTypeExtension(node)), ...nodes.filter(node => isTypeExtension(node))];
+}
+
+// Config files looked up in each directory, from `cwd` up to the root
+const PROJECT_CONFIG_FILES = [
+    'graphql.config.json',
+    'graphql.config.yaml',
+    'graphql.config.yml',
+    'graphql.config.js',
+    '.graphqlrc',
+    '.graphqlrc.json',
+    '.graphqlrc.yaml',
+    '.graphqlrc.yml',
+    '.graphqlrc.js',
+    'package.json',
+];
+const DEFAULT_PROJECT = 'default';
+// Extension of a project holding the options passed to loadSchema and loadDocuments
+const TOOLKIT_EXTENSION = 'graphql-toolkit';
+/**
+ * Finds the GraphQL config file (graphql-config compatible) of `cwd` or of its closest parent directory and reads it.
+ * A config without `projects` is a single project named `default`.
+ *
+ * @param cwd Directory to start looking from
+ * @returns Projects of the config file, with paths relative to it
+ */
+async function loadProjectConfig(cwd = process.cwd(), options = {}) {
+    const fs = await resolveBuiltinModule('fs', options.fs);
+    const path = await resolveBuiltinModule('path', options.path);
+    const { default: importFrom } = await import('import-from');
+    const filepath = options.configFile ? path.resolve(cwd, options.configFile) : findProjectConfigFile(cwd, { fs, path });
+    return createProjectConfig(filepath, readProjectConfigFile(filepath, { fs, path, importFrom }), path);
+}
+/**
+ * Synchronous version of `loadProjectConfig`
+ *
+ * @param cwd Directory to start looking from
+ * @returns Projects of the config file, with paths relative to it
+ */
+function loadProjectConfigSync(cwd = process.cwd(), options = {}) {
+    const fs = resolveBuiltinModuleSync('fs', options.fs);
+    const path = resolveBuiltinModuleSync('path', options.path);
+    let importFrom = require('import-from');
+    importFrom = importFrom.default || importFrom;
+    const filepath = options.configFile ? path.resolve(cwd, options.configFile) : findProjectConfigFile(cwd, { fs, path });
+    return createProjectConfig(filepath, readProjectConfigFile(filepath, { fs, path, importFrom }), path);
+}
+/**
+ * Loads the schema of a project with the loaders and the options of its config file.
+ * `exclude` globs become negated pointers, `include` keeps only the files of glob pointers it matches,
+ * and the pointers are relative to the config file.
+ *
+ * @param projectName Name of the project, `default` for a config without `projects`
+ * @returns Merged schema of the project
+ */
+async function loadProjectSchema(projectName = DEFAULT_PROJECT, options = {}) {
+    const config = options.config || (await loadProjectConfig(options.cwd, options));
+    const project = getProject(config, projectName, 'schema');
+    const { default: importFrom } = await import('import-from');
+    const path = await resolveBuiltinModule('path', options.path);
+    const unixify = await import('unixify').then(m => m.default || m);
+    return loadSchema(getProjectPointers(project, 'schema'), createProjectOptions(project, options, { path, importFrom, unixify }));
+}
+/**
+ * Synchronous version of `loadProjectSchema`
+ *
+ * @param projectName Name of the project, `default` for a config without `projects`
+ * @returns Merged schema of the project
+ */
+function loadProjectSchemaSync(projectName = DEFAULT_PROJECT, options = {}) {
+    const config = options.config || loadProjectConfigSync(options.cwd, options);
+    const project = getProject(config, projectName, 'schema');
+    let importFrom = require('import-from');
+    importFrom = importFrom.default || importFrom;
+    const path = resolveBuiltinModuleSync('path', options.path);
+    let unixify = require('unixify');
+    unixify = unixify.default || unixify;
+    return loadSchemaSync(getProjectPointers(project, 'schema'), createProjectOptions(project, options, { path, importFrom, unixify }));
+}
+/**
+ * Loads the documents of a project with the loaders and the options of its config file.
+ * `exclude` globs become negated pointers, `include` keeps only the files of glob pointers it matches,
+ * and the pointers are relative to the config file.
+ *
+ * @param projectName Name of the project, `default` for a config without `projects`
+ * @returns Sources of the operations and fragments of the project
+ */
+async function loadProjectDocuments(projectName = DEFAULT_PROJECT, options = {}) {
+    const config = options.config || (await loadProjectConfig(options.cwd, options));
+    const project = getProject(config, projectName, 'documents');
+    const { default: importFrom } = await import('import-from');
+    const path = await resolveBuiltinModule('path', options.path);
+    const unixify = await import('unixify').then(m => m.default || m);
+    return loadDocuments(getProjectPointers(project, 'documents'), createProjectOptions(project, options, { path, importFrom, unixify }));
+}
+/**
+ * Synchronous version of `loadProjectDocuments`
+ *
+ * @param projectName Name of the project, `default` for a config without `projects`
+ * @returns Sources of the operations and fragments of the project
+ */
+function loadProjectDocumentsSync(projectName = DEFAULT_PROJECT, options = {}) {
+    const config = options.config || loadProjectConfigSync(options.cwd, options);
+    const project = getProject(config, projectName, 'documents');
+    let importFrom = require('import-from');
+    importFrom = importFrom.default || importFrom;
+    const path = resolveBuiltinModuleSync('path', options.path);
+    let unixify = require('unixify');
+    unixify = unixify.default || unixify;
+    return loadDocumentsSync(getProjectPointers(project, 'documents'), createProjectOptions(project, options, { path, importFrom, unixify }));
+}
+//
+function findProjectConfigFile(cwd, { fs, path }) {
+    let directory = path.resolve(cwd);
+    while (true) {
+        for (const fileName of PROJECT_CONFIG_FILES) {
+            const filepath = path.join(directory, fileName);
+            if (fs.existsSync(filepath) && (fileName !== 'package.json' || 'graphql' in JSON.parse(fs.readFileSync(filepath, 'utf8')))) {
+                return filepath;
+            }
+        }
+        const parent = path.dirname(directory);
+        if (parent === directory) {
+            throw new Error(`No GraphQL config file found in ${cwd} or its parent directories, looked for ${PROJECT_CONFIG_FILES.join(', ')}`);
+        }
+        directory = parent;
+    }
+}
+function readProjectConfigFile(filepath, { fs, path, importFrom }) {
+    const dirpath = path.dirname(filepath);
+    if (filepath.endsWith('.js')) {
+        const requiredModule = importFrom(dirpath, filepath);
+        return requiredModule.default || requiredModule;
+    }
+    const content = fs.readFileSync(filepath, 'utf8');
+    if (path.basename(filepath) === 'package.json') {
+        return JSON.parse(content).graphql;
+    }
+    if (filepath.endsWith('.json')) {
+        return JSON.parse(content);
+    }
+    if (/\.ya?ml$/.test(filepath)) {
+        return parseYaml(content, filepath, dirpath, importFrom);
+    }
+    // `.graphqlrc` holds either JSON or YAML
+    try {
+        return JSON.parse(content);
+    }
+    catch (error) {
+        return parseYaml(content, filepath, dirpath, importFrom);
+    }
+}
+function parseYaml(content, filepath, dirpath, importFrom) {
+    const yaml = importFrom.silent(dirpath, 'yaml');
+    if (yaml) {
+        return (yaml.default || yaml).parse(content);
+    }
+    const jsYaml = importFrom.silent(dirpath, 'js-yaml');
+    if (jsYaml) {
+        return jsYaml.load(content);
+    }
+    throw new Error(`${filepath} is written in YAML, install yaml or js-yaml to read it`);
+}
+function createProjectConfig(filepath, config, path) {
+    if (!config || typeof config !== 'object') {
+        throw new Error(`${filepath} doesn't hold a GraphQL config`);
+    }
+    const dirpath = path.dirname(filepath);
+    const projects = {};
+    if (config.projects) {
+        for (const name of Object.keys(config.projects)) {
+            // Projects share the loaders and the extensions declared at the top level
+            projects[name] = normalizeProject(name, config.projects[name], config, dirpath);
+        }
+    }
+    else {
+        projects[DEFAULT_PROJECT] = normalizeProject(DEFAULT_PROJECT, config, {}, dirpath);
+    }
+    return { filepath, dirpath, projects };
+}
+function normalizeProject(name, project, root, dirpath) {
+    return {
+        name,
+        dirpath,
+        schema: asArray(project.schema || []),
+        documents: asArray(project.documents || []),
+        include: asArray(project.include || []),
+        exclude: asArray(project.exclude || []),
+        loaders: asArray(project.loaders || root.loaders || []),
+        extensions: Object.assign(Object.assign({}, root.extensions), project.extensions),
+    };
+}
+function getProject(config, projectName, pointersKey) {
+    const project = config.projects[projectName];
+    if (!project) {
+        throw new Error(`No project named ${projectName} in ${config.filepath}, it declares ${Object.keys(config.projects).join(', ')}`);
+    }
+    if (project[pointersKey].length === 0) {
+        throw new Error(`Project ${projectName} of ${config.filepath} declares no ${pointersKey}`);
+    }
+    return project;
+}
+function getProjectPointers(project, pointersKey) {
+    return [...project[pointersKey], ...project.exclude.map(pattern => `!${pattern}`)];
+}
+function createProjectOptions(project, options, { path, importFrom, unixify }) {
+    const loaders = options.loaders || project.loaders.map(loader => resolveProjectLoader(loader, project.dirpath, importFrom));
+    if (loaders.length === 0) {
+        throw new Error(`Project ${project.name} declares no loaders, list them in its config file or pass them in the options`);
+    }
+    const projectOptions = Object.assign(Object.assign(Object.assign({}, project.extensions[TOOLKIT_EXTENSION]), options), { cwd: project.dirpath, loaders });
+    if (project.include.length > 0) {
+        projectOptions.plugins = [createIncludePlugin(project, { path, unixify }), ...(projectOptions.plugins || [])];
+    }
+    return projectOptions;
+}
+/**
+ * Keeps the files matched by the glob pointers that `include` matches as well.
+ * Pointers to single files are loaded anyway, they are listed on purpose.
+ */
+function createIncludePlugin(project, { path, unixify }) {
+    const isIncluded = createExclusionMatcher(project.include, { path, cwd: project.dirpath }, unixify);
+    return {
+        name: 'graphql-config-include',
+        onGlobExpanded: (filePaths) => filePaths.filter(filePath => isIncluded(filePath)),
+    };
+}
+/**
+ * Loaders are either instances (in JS config files) or module names, resolved from the directory of the config file.
+ * A module name can pick an export with `module#ExportName`, otherwise the default export or the exported loader class is used.
+ */
+function resolveProjectLoader(loader, dirpath, importFrom) {
+    if (typeof loader !== 'string') {
+        return loader;
+    }
+    const [moduleName, exportName] = loader.split('#');
+    const requiredModule = importFrom(dirpath, moduleName);
+    const exported = exportName ? requiredModule[exportName] : findLoaderExport(requiredModule);
+    if (!exported) {
+        throw new Error(`Couldn't find a loader in ${moduleName}, pick its export with ${moduleName}#ExportName`);
+    }
+    return typeof exported === 'function' ? new exported() : exported;
+}
+function findLoaderExport(requiredModule) {
+    if (typeof requiredModule === 'function') {
+        return requiredModule;
+    }
+    if (requiredModule.default) {
+        return requiredModule.default;
+    }
+    return Object.keys(requiredModule)
+        .map(key => requiredModule[key])
+        .find(value => typeof value === 'function' && value.prototype && typeof value.prototype.loaderId === 'function');
 }
 
-export { NON_OPERATION_KINDS, OPERATION_KINDS, collectDefinitions, collectDefinitionsSync, filterKind, getDocumentFromSDL, isEmptySDL, loadDocuments, loadDocumentsSync, loadSchema, loadSchemaSync, loadTypedefs, loadTypedefsSync, parseImportLine, parseSDL, processImportSyntax, processImportSyntaxSync, resolveModuleFilePath };
+export { AbortError, CircularImportError, InvalidImportError, LoadingError, MissingEnvVariableError, MissingTypeError, NON_OPERATION_KINDS, NoSourcesError, OPERATION_KINDS, TimeoutError, buildImportGraph, buildImportGraphSync, collectDefinitions, collectDefinitionsSync, filterKind, getDefinitionOrigin, getDocumentFromSDL, isEmptySDL, loadDocuments, loadDocumentsSync, loadProjectConfig, loadProjectConfigSync, loadProjectDocuments, loadProjectDocumentsSync, loadProjectSchema, loadProjectSchemaSync, loadSchema, loadSchemaSync, loadTypedefs, loadTypedefsSync, parseImportLine, parseSDL, printImportGraphAsDot, printImportGraphAsJSON, processImportSyntax, processImportSyntaxSync, resolveModuleFilePath, watchSchema, watchTypedefs };
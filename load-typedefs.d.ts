@@ -1,5 +1,114 @@
 import { Source, SingleFileOptions, Loader } from '@graphql-toolkit/common';
+import { DocumentNode } from 'graphql';
 import { RawModule } from './import-parser';
+import { LoadingPlugin } from './plugins';
+import { IgnoreMatcher } from './utils/ignore-files';
+/**
+ * Lowercase pointer schemes (`github`, `https`) and extensions (`.graphql`) a loader handles.
+ * A loader that declares them is only asked about matching pointers.
+ */
+export interface LoaderRouting {
+    schemes?: string[];
+    extensions?: string[];
+}
+/**
+ * The part of an `AbortSignal` used while loading
+ */
+export interface LoadingAbortSignal {
+    readonly aborted: boolean;
+    addEventListener(type: 'abort', listener: () => void): void;
+    removeEventListener(type: 'abort', listener: () => void): void;
+}
+export interface PointerCollectorInput {
+    pointer: string;
+    pointerOptions: {
+        [key: string]: any;
+    };
+    pointerOptionMap: {
+        [key: string]: any;
+    };
+    options: LoadTypedefsOptions;
+    /**
+     * Set when loading synchronously, queued tasks must not return a Promise then
+     */
+    sync: boolean;
+    addSource(input: {
+        pointer: string;
+        source: Source;
+        noCache?: boolean;
+    }): void;
+    addGlob(input: {
+        pointer: string;
+        pointerOptions: {
+            [key: string]: any;
+        };
+    }): void;
+    addPointer(pointer: string, pointerOptions?: {
+        [key: string]: any;
+    }): void;
+    queue(task: () => void | Promise<void>): void;
+}
+/**
+ * Receives every pointer before the built-in collectors (document strings, globs, custom loaders, Markdown files and loaders).
+ * Collectors run in the order they are listed in. Each one either claims the pointer by not calling `next`,
+ * usually queueing a task that adds a source, expands it into other pointers with `addPointer`, or passes it on with `next`.
+ * Added pointers go through the whole stack again. They have to be added synchronously, not from a queued task.
+ * The files matched by a glob pointer are handed to the built-in Markdown collector and the loaders directly.
+ * The ```graphql and ```gql blocks of Markdown and MDX files become sources of their own, located at the file,
+ * with the line they start at as the `locationOffset` of their parsed source, so reported lines are lines of the file.
+ * Blocks with `skip` in their info string, like ```graphql skip, are left out.
+ */
+export declare type PointerCollector = (input: PointerCollectorInput, next: () => void) => void;
+/**
+ * Where a transform runs: before the `# import`s of the source are resolved, right after,
+ * or last, right before the source is accepted into the result.
+ * `beforeImports` transforms also run on every file pulled in with `# import`.
+ */
+export declare type DocumentTransformStage = 'beforeImports' | 'afterImports' | 'beforeAccept';
+/**
+ * Changes the document of every source. Transforms of the same stage run in the order they are listed in.
+ * The transform receives the options of the pointer the source comes from,
+ * and replaces the document by returning a new one.
+ */
+export interface DocumentTransform {
+    stage: DocumentTransformStage;
+    transform(source: Source, options: LoadTypedefsOptions): DocumentNode | void | Promise<DocumentNode | void>;
+}
+/**
+ * How many tasks of each kind run at once.
+ * Loads sharing the same `concurrency` object share the loader and file handle limits too.
+ */
+export interface ConcurrencyOptions {
+    /**
+     * Pointers collected at once, 50 by default
+     */
+    collect?: number;
+    /**
+     * Sources parsed at once, 100 by default
+     */
+    parse?: number;
+    /**
+     * Limits of each loader by its `loaderId()`, `custom` limits the custom loaders set with the `loader` pointer option.
+     * Probing with `canLoad` counts too.
+     */
+    loaders?: {
+        [loaderId: string]: number;
+    };
+    /**
+     * Files and directories read at once through `options.fs`, by the loaders and while matching globs
+     */
+    fileHandles?: number;
+}
+/**
+ * Sources collapsed into one because they are the same file or, with `dedupeSources: 'content'`, have the same content.
+ * `pointers` lists the pointer of every source of the group, the one of the kept source first.
+ */
+export interface DuplicateSources {
+    source: Source;
+    pointers: string[];
+    duplicates: Source[];
+}
+export declare type BuiltinPreset = 'federation' | 'apollo-cache-control' | 'relay' | 'none';
 export declare type LoadTypedefsOptions<ExtraConfig = {
     [key: string]: any;
 }> = SingleFileOptions & ExtraConfig & {
@@ -7,16 +116,60 @@ export declare type LoadTypedefsOptions<ExtraConfig = {
     cache?: {
         [key: string]: Source;
     };
-    loaders: Loader[];
+    loaders: Array<Loader & LoaderRouting>;
+    loaderCache?: Map<string, Loader>;
+    persistentCache?: boolean | {
+        directory?: string;
+    };
     filterKinds?: string[];
     ignore?: string | string[];
+    /**
+     * Leaves out the files ignored by `.gitignore` files, on top of the ones ignored by `.graphqlignore` files
+     */
+    gitignore?: boolean;
+    /**
+     * Set while loading, tells which rule of the ignore files ignores a file
+     */
+    findIgnoreRule?: IgnoreMatcher;
     sort?: boolean;
     skipGraphQLImport?: boolean;
     forceGraphQLImport?: boolean;
+    /**
+     * What to do when a file imports itself through other files. `warn` reports the cycle through the debug log,
+     * which only prints when the `DEBUG` environment variable is set (and `GQL_TOOLKIT_NODEBUG` is not).
+     * Defaults to `allow`
+     */
+    onCircularImport?: 'error' | 'warn' | 'allow';
+    foldTypeExtensions?: boolean;
+    knownScalars?: string[];
+    knownDirectives?: string[];
+    builtinPresets?: BuiltinPreset | BuiltinPreset[];
     fs?: typeof import('fs');
     path?: typeof import('path');
     os?: typeof import('os');
+    crypto?: typeof import('crypto');
+    signal?: LoadingAbortSignal;
+    timeout?: number;
+    loaderTimeout?: number;
+    plugins?: LoadingPlugin[];
+    collectors?: PointerCollector[];
+    transforms?: DocumentTransform[];
+    concurrency?: ConcurrencyOptions;
+    /**
+     * Variables used by `${VAR}` and `${VAR:-default}` in pointers, pointer options and `# import` paths, `process.env` by default
+     */
+    env?: {
+        [variable: string]: string | undefined;
+    };
+    /**
+     * Collapses the sources resolving to the same file (`realpath`, the default) or with the same content (`content`)
+     */
+    dedupeSources?: 'realpath' | 'content' | false;
 };
+/**
+ * A file, glob, url or document string, alone or as the key of its options.
+ * Pointers starting with `!` exclude the files they match from every other pointer.
+ */
 export declare type UnnormalizedTypeDefPointer = {
     [key: string]: any;
 } | string;
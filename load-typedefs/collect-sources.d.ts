@@ -1,14 +1,27 @@
 import { Source } from '@graphql-toolkit/common';
 import { LoadTypedefsOptions } from '../load-typedefs';
-export declare function collectSources<TOptions>({ pointerOptionMap, options, }: {
+import { AbortScope } from '../utils/abort';
+/**
+ * Collects the sources of the pointers.
+ * The options every file matched by a glob gets from the glob pointers are stored in `globOptionMap`.
+ */
+export declare function collectSources<TOptions>({ pointerOptionMap, options, abortScope, globOptionMap, }: {
     pointerOptionMap: {
         [key: string]: any;
     };
     options: LoadTypedefsOptions<Partial<TOptions>>;
+    abortScope?: AbortScope;
+    globOptionMap?: {
+        [key: string]: any;
+    };
 }): Promise<Source[]>;
-export declare function collectSourcesSync<TOptions>({ pointerOptionMap, options, }: {
+export declare function collectSourcesSync<TOptions>({ pointerOptionMap, options, abortScope, globOptionMap, }: {
     pointerOptionMap: {
         [key: string]: any;
     };
     options: LoadTypedefsOptions<Partial<TOptions>>;
+    abortScope?: AbortScope;
+    globOptionMap?: {
+        [key: string]: any;
+    };
 }): Source[];
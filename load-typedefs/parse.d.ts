@@ -1,14 +1,16 @@
 import { Source } from '@graphql-toolkit/common';
 import { DefinitionNode } from 'graphql';
+import { AbortScope } from '../utils/abort';
 declare type AddValidSource = (source: Source) => void;
 declare type ParseOptions = {
     partialSource: Partial<Source>;
     options: any;
-    globOptions: any;
+    globOptionMap: any;
     pointerOptionMap: any;
     addValidSource: AddValidSource;
     cache: DefinitionNode[][];
+    abortScope?: AbortScope;
 };
-export declare function parseSource({ partialSource, options, globOptions, pointerOptionMap, addValidSource, cache, }: ParseOptions): Promise<void>;
-export declare function parseSourceSync({ partialSource, options, globOptions, pointerOptionMap, addValidSource, cache, }: ParseOptions): void;
+export declare function parseSource({ partialSource, options, globOptionMap, pointerOptionMap, addValidSource, cache, abortScope, }: ParseOptions): Promise<void>;
+export declare function parseSourceSync({ partialSource, options, globOptionMap, pointerOptionMap, addValidSource, cache, abortScope, }: ParseOptions): void;
 export {};
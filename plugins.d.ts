@@ -0,0 +1,70 @@
+import { Source } from '@graphql-toolkit/common';
+import { DefinitionNode } from 'graphql';
+import { LoadTypedefsOptions, DuplicateSources } from './load-typedefs';
+declare type MaybePromise<T> = T | Promise<T>;
+/**
+ * Hooks called at each stage of loading. Every hook can observe the value it receives,
+ * and replace it by returning a new one; returning nothing keeps the value as it is.
+ * Hooks run in the order the plugins are listed in, and must be synchronous with `loadTypedefsSync`.
+ */
+export interface LoadingPlugin {
+    name?: string;
+    /**
+     * Pointers and their options, after normalization
+     */
+    onPointerNormalized?(pointerOptionMap: {
+        [key: string]: any;
+    }, context: {
+        options: LoadTypedefsOptions;
+    }): MaybePromise<{
+        [key: string]: any;
+    } | void>;
+    /**
+     * Files matched by a glob pointer, called once for each of them.
+     * `globs` holds the pointer followed by the negated `ignore` globs.
+     */
+    onGlobExpanded?(filePaths: string[], context: {
+        globs: string[];
+        options: LoadTypedefsOptions;
+    }): MaybePromise<string[] | void>;
+    /**
+     * Groups of collected sources about to be collapsed into their first source.
+     * Returning fewer groups keeps the sources of the others.
+     */
+    onSourcesDeduplicated?(duplicates: DuplicateSources[], context: {
+        options: LoadTypedefsOptions;
+    }): MaybePromise<DuplicateSources[] | void>;
+    /**
+     * A source as returned by a loader, before it is parsed
+     */
+    onSourceCollected?(source: Source, context: {
+        options: LoadTypedefsOptions;
+    }): MaybePromise<Source | void>;
+    /**
+     * A source with its parsed document
+     */
+    onSourceParsed?(source: Source, context: {
+        options: LoadTypedefsOptions;
+    }): MaybePromise<Source | void>;
+    /**
+     * A source after the definitions not listed in `filterKinds` were removed
+     */
+    onSourceFiltered?(source: Source, context: {
+        options: LoadTypedefsOptions;
+    }): MaybePromise<Source | void>;
+    /**
+     * Definitions a source resolved to, once its `# import`s are processed
+     */
+    onImportResolved?(definitions: DefinitionNode[], context: {
+        source: Source;
+        options: LoadTypedefsOptions;
+    }): MaybePromise<DefinitionNode[] | void>;
+    /**
+     * Every loaded source, right before they are returned
+     */
+    onComplete?(sources: Source[], context: {
+        options: LoadTypedefsOptions;
+    }): MaybePromise<Source[] | void>;
+}
+export declare type LoadingHook = Exclude<keyof LoadingPlugin, 'name'>;
+export {};
@@ -0,0 +1,93 @@
+import { Source, Loader } from '@graphql-toolkit/common';
+import { GraphQLSchema } from 'graphql';
+import { LoadTypedefsOptions, UnnormalizedTypeDefPointer } from './load-typedefs';
+import { LoadSchemaOptions } from './schema';
+/**
+ * A project of a GraphQL config file.
+ * The options of `extensions['graphql-toolkit']` are passed to `loadSchema` and `loadDocuments`.
+ * `include` filters the files matched by glob pointers, files pointed to directly are always loaded.
+ */
+export interface GraphQLProject {
+    name: string;
+    dirpath: string;
+    schema: UnnormalizedTypeDefPointer[];
+    documents: UnnormalizedTypeDefPointer[];
+    include: string[];
+    exclude: string[];
+    loaders: Array<string | Loader>;
+    extensions: {
+        [extension: string]: any;
+    };
+}
+export interface ProjectConfig {
+    filepath: string;
+    dirpath: string;
+    projects: {
+        [name: string]: GraphQLProject;
+    };
+}
+export declare type LoadProjectConfigOptions = {
+    /**
+     * Config file to read instead of looking for one
+     */
+    configFile?: string;
+    fs?: typeof import('fs');
+    path?: typeof import('path');
+};
+/**
+ * Options of the project helpers. They take precedence over the ones of the config file, except `cwd`:
+ * it's only where the config file is looked for, the pointers stay relative to the config file.
+ */
+export declare type ProjectOptions<TOptions> = Partial<TOptions> & LoadProjectConfigOptions & {
+    /**
+     * Config to use instead of looking for one
+     */
+    config?: ProjectConfig;
+};
+/**
+ * Finds the GraphQL config file (graphql-config compatible) of `cwd` or of its closest parent directory and reads it.
+ * A config without `projects` is a single project named `default`.
+ *
+ * @param cwd Directory to start looking from
+ * @returns Projects of the config file, with paths relative to it
+ */
+export declare function loadProjectConfig(cwd?: string, options?: LoadProjectConfigOptions): Promise<ProjectConfig>;
+/**
+ * Synchronous version of `loadProjectConfig`
+ *
+ * @param cwd Directory to start looking from
+ * @returns Projects of the config file, with paths relative to it
+ */
+export declare function loadProjectConfigSync(cwd?: string, options?: LoadProjectConfigOptions): ProjectConfig;
+/**
+ * Loads the schema of a project with the loaders and the options of its config file.
+ * `exclude` globs become negated pointers, `include` keeps only the files of glob pointers it matches,
+ * and the pointers are relative to the config file.
+ *
+ * @param projectName Name of the project, `default` for a config without `projects`
+ * @returns Merged schema of the project
+ */
+export declare function loadProjectSchema(projectName?: string, options?: ProjectOptions<LoadSchemaOptions>): Promise<GraphQLSchema>;
+/**
+ * Synchronous version of `loadProjectSchema`
+ *
+ * @param projectName Name of the project, `default` for a config without `projects`
+ * @returns Merged schema of the project
+ */
+export declare function loadProjectSchemaSync(projectName?: string, options?: ProjectOptions<LoadSchemaOptions>): GraphQLSchema;
+/**
+ * Loads the documents of a project with the loaders and the options of its config file.
+ * `exclude` globs become negated pointers, `include` keeps only the files of glob pointers it matches,
+ * and the pointers are relative to the config file.
+ *
+ * @param projectName Name of the project, `default` for a config without `projects`
+ * @returns Sources of the operations and fragments of the project
+ */
+export declare function loadProjectDocuments(projectName?: string, options?: ProjectOptions<LoadTypedefsOptions>): Promise<Source[]>;
+/**
+ * Synchronous version of `loadProjectDocuments`
+ *
+ * @param projectName Name of the project, `default` for a config without `projects`
+ * @returns Sources of the operations and fragments of the project
+ */
+export declare function loadProjectDocumentsSync(projectName?: string, options?: ProjectOptions<LoadTypedefsOptions>): Source[];
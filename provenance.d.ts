@@ -0,0 +1,20 @@
+import { Source } from '@graphql-toolkit/common';
+import { DocumentNode, GraphQLSchema } from 'graphql';
+/**
+ * Where a definition was declared
+ */
+export interface DefinitionOrigin {
+    location: string;
+    line: number;
+    column: number;
+}
+/**
+ * Finds the file, line and column a type, field, enum value or directive was declared in.
+ * Works with loaded sources, a single document or a merged schema. The types of a schema returned by `loadSchema`
+ * are looked up in the sources it was merged from, so a type is found where it is defined rather than extended.
+ *
+ * @param result Result of `loadTypedefs`, `loadDocuments`, `loadSchema` or a DocumentNode
+ * @param coordinate `Type`, `Type.member` or `@directive`
+ * @returns Origin of the declaration or null when it has no location
+ */
+export declare function getDefinitionOrigin(result: Source[] | DocumentNode | GraphQLSchema, coordinate: string): DefinitionOrigin | null;
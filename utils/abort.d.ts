@@ -0,0 +1,15 @@
+import { LoadTypedefsOptions } from '../load-typedefs';
+export interface AbortScope {
+    signal?: LoadTypedefsOptions['signal'];
+    throwIfAborted(): void;
+    track<T>(pointer: string, task: () => T, timeout?: number): T;
+    dispose(): void;
+}
+/**
+ * Watches the signal and the timeouts of the options while loading.
+ * Every task is tracked with the pointer it loads, so an abort or a timeout
+ * rejects with an error naming the pointers that were still pending.
+ * Synchronous tasks can't be interrupted, they are checked once they are done.
+ */
+export declare function createAbortScope(options: Pick<LoadTypedefsOptions, 'signal' | 'timeout' | 'loaderTimeout'>): AbortScope;
+export declare function isPromiseLike(value: any): value is PromiseLike<any>;
@@ -0,0 +1,14 @@
+import { LoadTypedefsOptions } from '../load-typedefs';
+/**
+ * Reads the concurrency of a stage from `options.concurrency`, falls back to the default one
+ */
+export declare function getConcurrency(options: Pick<LoadTypedefsOptions, 'concurrency'>, stage: 'collect' | 'parse', defaultConcurrency: number): number;
+/**
+ * Runs the task once the loader is below the concurrency set for it in `options.concurrency.loaders`.
+ */
+export declare function limitLoader<T>(options: Pick<LoadTypedefsOptions, 'concurrency'>, loaderId: string, task: () => T | Promise<T>): T | Promise<T>;
+/**
+ * Wraps the file system so no more than `options.concurrency.fileHandles` files and directories are read at once.
+ * Synchronous reads are left as they are, they never overlap.
+ */
+export declare function limitFileHandles(options: Pick<LoadTypedefsOptions, 'concurrency' | 'fs'>): LoadTypedefsOptions['fs'];
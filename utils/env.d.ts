@@ -0,0 +1,16 @@
+import { LoadTypedefsOptions } from '../load-typedefs';
+import { LoadingErrorDetails } from '../errors';
+/**
+ * Replaces `${VAR}` and `${VAR:-default}` with the variables of `options.env`, `process.env` by default.
+ * The default is used when the variable is unset or empty. A variable that is unset and has no default is an error.
+ */
+export declare function interpolateEnv<T>(value: T, options: Pick<LoadTypedefsOptions, 'env'>, details?: LoadingErrorDetails): T;
+/**
+ * Interpolates the pointers and the strings of their options. Document strings are left as they are.
+ * Pointers that end up the same get their options merged.
+ */
+export declare function interpolatePointers(pointerOptionMap: {
+    [key: string]: any;
+}, options: Pick<LoadTypedefsOptions, 'env'>): {
+    [key: string]: any;
+};
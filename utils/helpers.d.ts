@@ -1,3 +1,5 @@
+import { ASTNode } from 'graphql';
+import { DefinitionOrigin } from '../provenance';
 /**
  * Converts a string to 32bit integer
  */
@@ -6,3 +8,7 @@ export declare type StackNext = () => void;
 export declare type StackFn<T> = (input: T, next: StackNext) => void;
 export declare function useStack<T>(...fns: Array<StackFn<T>>): (input: T) => void;
 export declare function useLimit(concurrency: number): import("p-limit").Limit;
+/**
+ * Reads the file, line and column a node was parsed from
+ */
+export declare function getNodeOrigin(node: ASTNode | undefined): DefinitionOrigin | null;
@@ -0,0 +1,31 @@
+import { Source } from '@graphql-toolkit/common';
+import { LoadTypedefsOptions, DocumentTransformStage } from '../load-typedefs';
+import { LoadingHook } from '../plugins';
+/**
+ * Calls the hook of every plugin, in the order of `options.plugins`.
+ * A hook receives the value returned by the previous one and replaces it by returning a new value.
+ *
+ * @param options Options holding the plugins
+ * @param hook Name of the hook
+ * @param value Value to observe or replace
+ * @param context Additional information about the value
+ * @returns The value returned by the last hook, or the original one
+ */
+export declare function runHooks<T>(options: Pick<LoadTypedefsOptions, 'plugins'>, hook: LoadingHook, value: T, context: any): Promise<T>;
+/**
+ * Same as `runHooks` but the hooks must not return a Promise
+ */
+export declare function runHooksSync<T>(options: Pick<LoadTypedefsOptions, 'plugins'>, hook: LoadingHook, value: T, context: any): T;
+/**
+ * Runs the transforms of `options.transforms` registered for the stage, in the order they are listed in.
+ * A transform replaces the document of the source by returning a new one.
+ *
+ * @param source Source to transform, it is copied before its document is replaced
+ * @param options Options of the pointer the source comes from
+ * @param stage Point of the pipeline being reached
+ */
+export declare function runTransforms(source: Source, options: LoadTypedefsOptions, stage: DocumentTransformStage): Promise<Source>;
+/**
+ * Same as `runTransforms` but the transforms must not return a Promise
+ */
+export declare function runTransformsSync(source: Source, options: LoadTypedefsOptions, stage: DocumentTransformStage): Source;
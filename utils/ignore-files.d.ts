@@ -0,0 +1,29 @@
+import { LoadTypedefsOptions } from '../load-typedefs';
+/**
+ * A pattern of an ignore file
+ */
+export interface IgnoreRule {
+    file: string;
+    pattern: string;
+    negated: boolean;
+    regexp: RegExp;
+}
+export declare type IgnoreMatcher = ((filepath: string) => IgnoreRule | undefined) & {
+    /**
+     * Ignore files looked for so far, whether they exist or not
+     */
+    ignoreFiles?: Set<string>;
+};
+/**
+ * Creates a function telling which rule of the ignore files ignores a file, if any.
+ * `.graphqlignore` files are always read, `.gitignore` files only with `gitignore: true`.
+ * They are looked up in every directory from the root of the repository `cwd` belongs to
+ * (or `cwd` itself outside of a repository) down to the directory of the file, and read once.
+ * Patterns follow the .gitignore syntax and are relative to the directory of their file,
+ * the last one matching a file wins. Files outside of the root are never ignored.
+ */
+export declare function createIgnoreMatcher(options: Pick<LoadTypedefsOptions, 'cwd' | 'fs' | 'path' | 'gitignore'>): IgnoreMatcher;
+/**
+ * Turns a glob into the source of a RegExp, `*` and `?` never match a slash
+ */
+export declare function globToRegExpSource(pattern: string): string;
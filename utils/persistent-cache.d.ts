@@ -0,0 +1,20 @@
+import { Source, Loader } from '@graphql-toolkit/common';
+import { DefinitionNode, DocumentNode } from 'graphql';
+import { LoadTypedefsOptions } from '../load-typedefs';
+import { ImportContext } from '../import-parser/definition';
+/**
+ * Reads a source loaded from a file in a previous run.
+ * The entry is used when the file still has the same mtime and size, or the same content.
+ */
+export declare function readPersistedSource(pointer: string, options: LoadTypedefsOptions): Source | undefined;
+export declare function persistSource(pointer: string, loader: Loader, source: Source, options: LoadTypedefsOptions): void;
+/**
+ * Parses the SDL, reusing the document parsed from the same content in a previous run
+ */
+export declare function parseWithPersistentCache(rawSDL: string, location: string, options: LoadTypedefsOptions): DocumentNode;
+/**
+ * Reads the definitions the imports of a source resolved to in a previous run.
+ * The entry is used when none of the visited files changed since.
+ */
+export declare function readPersistedImports(source: Source, options: LoadTypedefsOptions): DefinitionNode[] | undefined;
+export declare function persistImports(source: Source, options: LoadTypedefsOptions, context: ImportContext, definitions: DefinitionNode[]): void;
@@ -0,0 +1,22 @@
+import { Source } from '@graphql-toolkit/common';
+import { GraphQLSchema } from 'graphql';
+import { LoadTypedefsOptions, UnnormalizedTypeDefPointer } from './load-typedefs';
+import { LoadSchemaOptions } from './schema';
+export declare type WatchOptions = {
+    debounce?: number;
+};
+export declare type WatchListener<T> = (error: Error | null, result?: T) => void;
+export interface TypedefsWatcher {
+    close(): void;
+}
+/**
+ * Loads the type definitions and keeps watching every file they were collected from,
+ * including the files pulled in with `# import` and new files matching a glob pointer.
+ * The listener receives a fresh result after each change. Only the changed files are read again.
+ * Failures, including an error thrown by the listener itself, are passed to the listener.
+ */
+export declare function watchTypedefs<AdditionalConfig = {}>(pointerOrPointers: UnnormalizedTypeDefPointer | UnnormalizedTypeDefPointer[], options: LoadTypedefsOptions<Partial<AdditionalConfig>> & WatchOptions, listener: WatchListener<Source[]>): TypedefsWatcher;
+/**
+ * Same as `watchTypedefs` but re-emits a merged schema.
+ */
+export declare function watchSchema(schemaPointers: UnnormalizedTypeDefPointer | UnnormalizedTypeDefPointer[], options: LoadSchemaOptions & WatchOptions, listener: WatchListener<GraphQLSchema>): TypedefsWatcher;